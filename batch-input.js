@@ -0,0 +1,43 @@
+// =======================
+// Batch input
+// =======================
+// Validation of /v1/batches input files: one { custom_id, method, url, body } request per JSONL line.
+const MAX_ERRORS = 100;
+
+function clip(s, maxLen) {
+  return s.length > maxLen ? s.slice(0, maxLen) + "…" : s;
+}
+
+// input JSONL -> { lines } or { errors } (OpenAI batch validation errors, with 1-based line numbers)
+export function parseBatchInput(text, endpoint, { maxRequests }) {
+  const errors = [];
+  const lines = [];
+  const seen = new Set();
+  const fail = (line, code, message, param = null) => {
+    if (errors.length < MAX_ERRORS) errors.push({ code, message, param, line });
+  };
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const n = i + 1;
+    if (!raw.trim()) return;
+    let item;
+    try {
+      item = JSON.parse(raw);
+    } catch {
+      return fail(n, "invalid_json_line", "This line is not parseable as valid JSON.");
+    }
+    if (!item || typeof item !== "object" || Array.isArray(item)) return fail(n, "invalid_json_line", "Each line must be a JSON object.");
+    if (typeof item.custom_id !== "string" || !item.custom_id) return fail(n, "missing_required_parameter", "custom_id must be a non-empty string.", "custom_id");
+    if (seen.has(item.custom_id)) return fail(n, "duplicate_custom_id", `The custom_id '${clip(item.custom_id, 64)}' appears more than once.`, "custom_id");
+    seen.add(item.custom_id);
+    if (String(item.method || "").toUpperCase() !== "POST") return fail(n, "invalid_method", "method must be POST.", "method");
+    if (item.url !== endpoint) return fail(n, "mismatched_endpoint", `url must match the batch endpoint ${endpoint}.`, "url");
+    if (!item.body || typeof item.body !== "object" || Array.isArray(item.body)) return fail(n, "invalid_request", "body must be a JSON object.", "body");
+    if (item.body.stream === true) return fail(n, "invalid_request", "Streaming is not supported in batches.", "body.stream");
+    lines.push({ custom_id: item.custom_id, body: item.body });
+  });
+  if (!errors.length && !lines.length) fail(null, "empty_file", "The input file contains no requests.");
+  if (!errors.length && lines.length > maxRequests) {
+    fail(null, "too_many_requests", `A batch can contain at most ${maxRequests} requests (got ${lines.length}).`);
+  }
+  return errors.length ? { errors } : { lines };
+}
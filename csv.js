@@ -0,0 +1,10 @@
+// =======================
+// CSV
+// =======================
+// text cells starting with = + - @ (or tab / CR) would run as formulas in Excel, so they get a leading '
+export function csvCell(v) {
+  if (v == null) return "";
+  let s = String(v);
+  if (typeof v === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
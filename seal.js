@@ -0,0 +1,62 @@
+// =======================
+// Sealed values
+// =======================
+// Envelope encryption for Redis values: a random data key encrypts the value (AES-256-GCM) and is
+// itself wrapped by the active key-encryption key. The Redis key name is bound as AAD so a sealed
+// value can't be replayed under another key.
+//   enc1.<kid>.<wrapped data key>.<payload>   (each part base64url of iv | tag | ciphertext)
+import crypto from "crypto";
+
+export const ENC_PREFIX = "enc1.";
+
+// "<kid>:<key>" entries separated by commas or whitespace; keys are 32 bytes, base64 or hex
+export function parseDataKeys(raw) {
+  const keys = [];
+  for (const entry of String(raw || "").split(/[\s,]+/).filter(Boolean)) {
+    const m = /^([A-Za-z0-9_-]{1,32}):(.+)$/.exec(entry);
+    const key = m && (/^[0-9a-fA-F]{64}$/.test(m[2]) ? Buffer.from(m[2], "hex") : Buffer.from(m[2], "base64"));
+    if (!key || key.length !== 32) throw new Error("DATA_ENCRYPTION_KEYS entries must be <kid>:<32-byte key, base64 or hex>");
+    if (keys.some((k) => k.kid === m[1])) throw new Error(`Duplicate data encryption key id '${m[1]}'`);
+    keys.push({ kid: m[1], key });
+  }
+  return keys;
+}
+
+function gcmSeal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const c = crypto.createCipheriv("aes-256-gcm", key, iv);
+  c.setAAD(Buffer.from(aad));
+  const ct = Buffer.concat([c.update(plaintext), c.final()]);
+  return Buffer.concat([iv, c.getAuthTag(), ct]).toString("base64url");
+}
+
+function gcmOpen(key, sealed, aad) {
+  const buf = Buffer.from(sealed, "base64url");
+  const d = crypto.createDecipheriv("aes-256-gcm", key, buf.subarray(0, 12));
+  d.setAAD(Buffer.from(aad));
+  d.setAuthTag(buf.subarray(12, 28));
+  return Buffer.concat([d.update(buf.subarray(28)), d.final()]);
+}
+
+// The first key seals new writes, the others only open. Without keys, seal() stores plaintext and
+// open() returns plaintext unchanged, as it does for values written before encryption was enabled.
+export function createSealer(keys) {
+  const active = keys[0] || null;
+  return {
+    active,
+    seal(redisKey, plaintext) {
+      if (!active) return plaintext;
+      const dek = crypto.randomBytes(32);
+      const wrapped = gcmSeal(active.key, dek, `${redisKey}#dek`);
+      return `${ENC_PREFIX}${active.kid}.${wrapped}.${gcmSeal(dek, Buffer.from(plaintext, "utf8"), redisKey)}`;
+    },
+    open(redisKey, stored) {
+      if (typeof stored !== "string" || !stored.startsWith(ENC_PREFIX)) return stored;
+      const [, kid, wrapped, payload] = stored.split(".");
+      const kek = keys.find((k) => k.kid === kid);
+      if (!kek) throw new Error(`Data encryption key '${kid}' is not configured; cannot read ${redisKey.split(":")[0]}:*`);
+      const dek = gcmOpen(kek.key, wrapped, `${redisKey}#dek`);
+      return gcmOpen(dek, payload, redisKey).toString("utf8");
+    },
+  };
+}
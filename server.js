@@ -1,8 +1,26 @@
 import express from "express";
 import session from "express-session";
 import crypto from "crypto";
+import { EventEmitter } from "events";
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import { AsyncLocalStorage } from "async_hooks";
 import Redis from "ioredis";
-import { ConfidentialClientApplication } from "@azure/msal-node";
+import busboy from "busboy";
+import YAML from "yaml";
+import { countTokens } from "gpt-tokenizer/encoding/o200k_base";
+import {
+  ConfidentialClientApplication,
+  CryptoProvider,
+  DistributedCachePlugin,
+  InteractionRequiredAuthError,
+} from "@azure/msal-node";
+import { SseParser, startSseKeepAlive } from "./sse.js";
+import { ENC_PREFIX, createSealer, parseDataKeys } from "./seal.js";
+import { extractJson, isPlainObject, validateJsonSchema } from "./structured.js";
+import { csvCell } from "./csv.js";
+import { parseBatchInput } from "./batch-input.js";
 
 // =======================
 // Logging (stdout JSON)
@@ -24,7 +42,7 @@ function redactHeaders(headers = {}) {
   const h = { ...headers };
   for (const k of Object.keys(h)) {
     const lk = k.toLowerCase();
-    if (lk === "authorization" || lk === "cookie" || lk === "set-cookie") h[k] = "[REDACTED]";
+    if (lk === "authorization" || lk === "x-api-key" || lk === "cookie" || lk === "set-cookie") h[k] = "[REDACTED]";
   }
   return h;
 }
@@ -36,6 +54,7 @@ function log(level, msg, fields = {}) {
     ts: new Date().toISOString(),
     level,
     msg,
+    traceId: currentTraceId(),
     ...fields,
   };
   // error -> stderr, others -> stdout
@@ -53,6 +72,254 @@ process.on("unhandledRejection", (reason) => {
   log("error", "unhandledRejection", { reason: safeString(reason), stack: reason?.stack });
 });
 
+// =======================
+// Tracing (OpenTelemetry, optional)
+// =======================
+// A small W3C trace-context tracer that exports OTLP/HTTP JSON. It is off unless OTEL_TRACES_EXPORTER
+// is "otlp" or "console". The active span lives in AsyncLocalStorage, so Redis and Graph calls find
+// their parent without it being passed through every function.
+const OTEL_TRACES_EXPORTER = (process.env.OTEL_TRACES_EXPORTER || "none").toLowerCase();
+const TRACING = OTEL_TRACES_EXPORTER === "otlp" || OTEL_TRACES_EXPORTER === "console";
+const OTEL_SERVICE_NAME = process.env.OTEL_SERVICE_NAME || "m365-copilot-gateway";
+const OTEL_TRACES_ENDPOINT =
+  process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT ||
+  `${(process.env.OTEL_EXPORTER_OTLP_ENDPOINT || "http://localhost:4318").replace(/\/+$/, "")}/v1/traces`;
+const OTEL_HEADERS = parseOtelHeaders(process.env.OTEL_EXPORTER_OTLP_HEADERS);
+const OTEL_BATCH_SIZE = 512;
+
+const SPAN_KIND = { internal: 1, server: 2, client: 3 };
+const traceContext = new AsyncLocalStorage();
+const hrEpochNs = BigInt(Date.now()) * 1000000n - process.hrtime.bigint();
+let spanQueue = [];
+
+// "k1=v1,k2=v2" as in the OTel spec
+function parseOtelHeaders(v) {
+  const h = {};
+  for (const part of (v || "").split(",")) {
+    const i = part.indexOf("=");
+    if (i > 0) h[decodeURIComponent(part.slice(0, i).trim())] = decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return h;
+}
+
+function parseTraceparent(v) {
+  const m = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/.exec(String(v || "").trim());
+  if (!m || m[1] === "ff" || /^0+$/.test(m[2]) || /^0+$/.test(m[3])) return null;
+  return { traceId: m[2], spanId: m[3], sampled: (parseInt(m[4], 16) & 1) === 1 };
+}
+
+class Span {
+  constructor(name, { kind = "internal", parent = traceContext.getStore(), attributes = {} } = {}) {
+    this.name = name;
+    this.kind = SPAN_KIND[kind];
+    this.traceId = parent?.traceId || crypto.randomBytes(16).toString("hex");
+    this.parentSpanId = parent?.spanId || "";
+    this.spanId = crypto.randomBytes(8).toString("hex");
+    this.sampled = parent ? parent.sampled !== false : true;
+    this.start = process.hrtime.bigint();
+    this.attributes = { ...attributes };
+    this.events = [];
+    this.status = null;
+    this.ended = false;
+  }
+
+  setAttributes(attrs) {
+    Object.assign(this.attributes, attrs);
+    return this;
+  }
+
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, attributes, time: process.hrtime.bigint() });
+  }
+
+  setError(message) {
+    this.status = { code: 2, message };
+  }
+
+  recordError(err) {
+    this.addEvent("exception", { "exception.type": err?.name || "Error", "exception.message": safeString(err?.message || err) });
+    this.setError(safeString(err?.message || err, 200));
+  }
+
+  end() {
+    if (this.ended) return;
+    this.ended = true;
+    if (this.sampled) exportSpan(this, process.hrtime.bigint());
+  }
+}
+
+const NOOP_SPAN = {
+  setAttributes() {
+    return this;
+  },
+  addEvent() {},
+  setError() {},
+  recordError() {},
+  end() {},
+};
+
+function startSpan(name, opts) {
+  return TRACING ? new Span(name, opts) : NOOP_SPAN;
+}
+
+// Runs fn(span) with span as the active context; a thrown error is recorded on the span and rethrown.
+async function withSpan(name, opts, fn) {
+  const span = startSpan(name, opts);
+  if (span === NOOP_SPAN) return await fn(span);
+  try {
+    return await traceContext.run(span, () => fn(span));
+  } catch (e) {
+    span.recordError(e);
+    throw e;
+  } finally {
+    span.end();
+  }
+}
+
+function currentTraceId() {
+  return TRACING ? traceContext.getStore()?.traceId : undefined;
+}
+
+function otlpAttributes(attrs) {
+  return Object.entries(attrs)
+    .filter(([, v]) => v != null && v !== "")
+    .map(([key, v]) => ({
+      key,
+      value:
+        typeof v === "boolean"
+          ? { boolValue: v }
+          : Number.isInteger(v)
+            ? { intValue: String(v) }
+            : typeof v === "number"
+              ? { doubleValue: v }
+              : { stringValue: String(v) },
+    }));
+}
+
+function exportSpan(span, endNs) {
+  const otlp = {
+    traceId: span.traceId,
+    spanId: span.spanId,
+    parentSpanId: span.parentSpanId,
+    name: span.name,
+    kind: span.kind,
+    startTimeUnixNano: String(hrEpochNs + span.start),
+    endTimeUnixNano: String(hrEpochNs + endNs),
+    attributes: otlpAttributes(span.attributes),
+    events: span.events.map((e) => ({ name: e.name, timeUnixNano: String(hrEpochNs + e.time), attributes: otlpAttributes(e.attributes) })),
+    status: span.status || { code: 0 },
+  };
+  if (OTEL_TRACES_EXPORTER === "console") {
+    process.stdout.write(JSON.stringify({ ts: new Date().toISOString(), level: "info", msg: "otel.span", span: otlp }) + "\n");
+    return;
+  }
+  spanQueue.push(otlp);
+  if (spanQueue.length >= OTEL_BATCH_SIZE) flushSpans();
+}
+
+async function flushSpans() {
+  if (!spanQueue.length) return;
+  const spans = spanQueue;
+  spanQueue = [];
+  const body = {
+    resourceSpans: [
+      {
+        resource: { attributes: otlpAttributes({ "service.name": OTEL_SERVICE_NAME }) },
+        scopeSpans: [{ scope: { name: OTEL_SERVICE_NAME }, spans }],
+      },
+    ],
+  };
+  try {
+    const res = await fetch(OTEL_TRACES_ENDPOINT, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...OTEL_HEADERS },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(10000),
+    });
+    if (!res.ok) log("warn", "otel.export.failed", { status: res.status, spans: spans.length });
+  } catch (e) {
+    log("warn", "otel.export.failed", { spans: spans.length, err: safeString(e?.message || e) });
+  }
+}
+
+if (OTEL_TRACES_EXPORTER === "otlp") setInterval(flushSpans, 5000).unref();
+
+// =======================
+// Metrics (Prometheus text format)
+// =======================
+// In-process registry rendered by GET /metrics. Label values must stay low-cardinality:
+// routes are Express route patterns and models are normalized to auto/fast/deep.
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300];
+const metrics = new Map();
+
+function defineMetric(name, type, help, buckets = null) {
+  metrics.set(name, { name, type, help, buckets, series: new Map() });
+}
+
+function metricSeries(name, labels, init) {
+  const m = metrics.get(name);
+  const key = JSON.stringify(labels);
+  let s = m.series.get(key);
+  if (!s) m.series.set(key, (s = { labels, ...init(m) }));
+  return s;
+}
+
+function incCounter(name, labels = {}, n = 1) {
+  metricSeries(name, labels, () => ({ value: 0 })).value += n;
+}
+
+function setGauge(name, labels, value) {
+  metricSeries(name, labels, () => ({ value: 0 })).value = value;
+}
+
+function observeHistogram(name, labels, value) {
+  const s = metricSeries(name, labels, (m) => ({ counts: m.buckets.map(() => 0), sum: 0, count: 0 }));
+  const m = metrics.get(name);
+  for (let i = 0; i < m.buckets.length; i++) if (value <= m.buckets[i]) s.counts[i]++;
+  s.sum += value;
+  s.count++;
+}
+
+function formatLabels(labels, extra = {}) {
+  const all = { ...labels, ...extra };
+  const parts = Object.entries(all).map(
+    ([k, v]) => `${k}="${String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"')}"`
+  );
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function renderMetrics() {
+  const out = [];
+  for (const m of metrics.values()) {
+    out.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+    for (const s of m.series.values()) {
+      if (m.type !== "histogram") {
+        out.push(`${m.name}${formatLabels(s.labels)} ${s.value}`);
+        continue;
+      }
+      m.buckets.forEach((le, i) => out.push(`${m.name}_bucket${formatLabels(s.labels, { le })} ${s.counts[i]}`));
+      out.push(`${m.name}_bucket${formatLabels(s.labels, { le: "+Inf" })} ${s.count}`);
+      out.push(`${m.name}_sum${formatLabels(s.labels)} ${s.sum}`);
+      out.push(`${m.name}_count${formatLabels(s.labels)} ${s.count}`);
+    }
+  }
+  return out.join("\n") + "\n";
+}
+
+defineMetric("gateway_http_requests_total", "counter", "HTTP requests by route, method, status and model.");
+defineMetric("gateway_http_request_duration_seconds", "histogram", "HTTP request latency (until the response is finished).", LATENCY_BUCKETS);
+defineMetric("graph_requests_total", "counter", "Graph Copilot API responses by operation and status (status=\"error\" for network failures).");
+defineMetric("graph_request_duration_seconds", "histogram", "Graph Copilot API latency until response headers, per attempt.", LATENCY_BUCKETS);
+defineMetric("copilot_stream_ttft_seconds", "histogram", "Time from request arrival to the first streamed text delta.", LATENCY_BUCKETS);
+defineMetric("copilot_stream_json_parse_failures_total", "counter", "chatOverStream SSE events whose data was not valid JSON.");
+defineMetric("copilot_empty_responses_total", "counter", "Copilot answers that contained no text.");
+defineMetric("gateway_tokens_total", "counter", "Approximate tokens by model and kind (prompt, completion).");
+defineMetric("gateway_batch_requests_total", "counter", "Batch requests by outcome (completed, failed, retried, expired).");
+defineMetric("msal_token_refresh_failures_total", "counter", "Failed silent token acquisitions, by whether re-auth is required.");
+defineMetric("redis_up", "gauge", "1 if Redis answered PING at scrape time.");
+defineMetric("redis_ping_seconds", "gauge", "Redis PING round-trip at scrape time.");
+defineMetric("process_uptime_seconds", "gauge", "Seconds since the gateway process started.");
+
 // =======================
 // Env & Config
 // =======================
@@ -62,15 +329,71 @@ const CLIENT_ID = env.CLIENT_ID;
 const CLIENT_SECRET = env.CLIENT_SECRET;
 const PUBLIC_BASE_URL = (env.PUBLIC_BASE_URL || "http://localhost:8080").replace(/\/$/, "");
 const API_BEARER_TOKEN = env.API_BEARER_TOKEN || "";
+const ADMIN_BEARER_TOKEN = env.ADMIN_BEARER_TOKEN || "";
 const SESSION_SECRET = env.SESSION_SECRET;
 const REDIS_URL = env.REDIS_URL || "redis://redis:6379";
 const TIME_ZONE = env.TIME_ZONE || "Asia/Shanghai";
 const COUNTRY_OR_REGION = env.COUNTRY_OR_REGION || "US";
+const MODEL_CATALOG_FILE = env.MODEL_CATALOG_FILE || "";
+const MODEL_CATALOG_BUILTINS = env.MODEL_CATALOG_BUILTINS !== "0";
+const MODEL_DEFAULT = env.MODEL_DEFAULT || "auto";
 const TRUST_PROXY = env.TRUST_PROXY === "1";
 const PORT = parseInt(env.PORT || "8080", 10);
 const SESSION_TTL = parseInt(env.SESSION_TTL || "86400", 10);
 const EMPTY_RESPONSE_HINT = env.EMPTY_RESPONSE_HINT !== "0";
 const DEBUG_EVENT_LIMIT = parseInt(env.DEBUG_EVENT_LIMIT || "50", 10);
+const AUDIT_SINK = (env.AUDIT_SINK || "off").toLowerCase(); // off | redis | file
+const AUDIT_RETENTION_DAYS = parseInt(env.AUDIT_RETENTION_DAYS || "90", 10);
+const AUDIT_DIR = env.AUDIT_DIR || "/data/audit";
+const AUDIT_CONTENT = env.AUDIT_CONTENT !== "0";
+const AUDIT_MAX_CHARS = parseInt(env.AUDIT_MAX_CHARS || "20000", 10);
+const AUDIT_REDACT = (env.AUDIT_REDACT || "").split(",").map((s) => s.trim()).filter(Boolean);
+const AUDIT_REDACT_PATTERNS = env.AUDIT_REDACT_PATTERNS || "";
+const USER_KEY_TTL = parseInt(env.USER_KEY_TTL || String(60 * 60 * 24 * 30), 10);
+const USER_KEY_SLIDING = env.USER_KEY_SLIDING !== "0";
+const TOKEN_REFRESH_INTERVAL_MS = parseInt(env.TOKEN_REFRESH_INTERVAL_MS || "900000", 10);
+const TOKEN_REFRESH_AGE = parseInt(env.TOKEN_REFRESH_AGE || "86400", 10);
+const TOKEN_REFRESH_IDLE_DAYS = parseInt(env.TOKEN_REFRESH_IDLE_DAYS || "14", 10);
+const KEY_EXPIRY_WARN_DAYS = parseInt(env.KEY_EXPIRY_WARN_DAYS || "3", 10);
+const WEBHOOK_URL = env.WEBHOOK_URL || "";
+const WEBHOOK_SECRET = env.WEBHOOK_SECRET || "";
+const CONVERSATION_REUSE = env.CONVERSATION_REUSE !== "0";
+const CONVERSATION_TTL = parseInt(env.CONVERSATION_TTL || "21600", 10);
+const CITATION_FOOTNOTES = env.CITATION_FOOTNOTES === "1";
+const STRUCTURED_OUTPUT_RETRIES = parseInt(env.STRUCTURED_OUTPUT_RETRIES || "2", 10);
+const ATTACHMENTS_ENABLED = env.ATTACHMENTS_ENABLED === "1";
+const ATTACHMENT_FOLDER = (env.ATTACHMENT_FOLDER || "Copilot Gateway").replace(/^\/+|\/+$/g, "");
+const ATTACHMENT_MAX_BYTES = parseInt(env.ATTACHMENT_MAX_BYTES || String(20 * 1024 * 1024), 10);
+const ATTACHMENT_CLEANUP = ["none", "request", "ttl"].includes(env.ATTACHMENT_CLEANUP) ? env.ATTACHMENT_CLEANUP : "ttl";
+const ATTACHMENT_TTL = parseInt(env.ATTACHMENT_TTL || "86400", 10);
+const BODY_LIMIT = env.BODY_LIMIT || (ATTACHMENTS_ENABLED ? "50mb" : "2mb");
+const SSE_KEEPALIVE_MS = parseInt(env.SSE_KEEPALIVE_MS || "15000", 10);
+const COPILOT_TIMEOUT_MS = parseInt(env.COPILOT_TIMEOUT_MS || "300000", 10);
+const COPILOT_IDLE_TIMEOUT_MS = parseInt(env.COPILOT_IDLE_TIMEOUT_MS || "120000", 10);
+const RATE_LIMIT_RPM = parseInt(env.RATE_LIMIT_RPM || "0", 10);
+const RATE_LIMIT_RPD = parseInt(env.RATE_LIMIT_RPD || "0", 10);
+const RATE_LIMIT_CONCURRENCY = parseInt(env.RATE_LIMIT_CONCURRENCY || "0", 10);
+const TOKEN_RATE_LIMIT_RPM = parseInt(env.TOKEN_RATE_LIMIT_RPM || "0", 10);
+const TOKEN_RATE_LIMIT_RPD = parseInt(env.TOKEN_RATE_LIMIT_RPD || "0", 10);
+const TOKEN_RATE_LIMIT_CONCURRENCY = parseInt(env.TOKEN_RATE_LIMIT_CONCURRENCY || "0", 10);
+const QUOTA_DAILY_TOKENS = parseInt(env.QUOTA_DAILY_TOKENS || "0", 10);
+const QUOTA_DAILY_TOKENS_SOFT = parseInt(env.QUOTA_DAILY_TOKENS_SOFT || "0", 10);
+const QUOTA_MONTHLY_TOKENS = parseInt(env.QUOTA_MONTHLY_TOKENS || "0", 10);
+const QUOTA_MONTHLY_TOKENS_SOFT = parseInt(env.QUOTA_MONTHLY_TOKENS_SOFT || "0", 10);
+const USAGE_RETENTION_DAYS = parseInt(env.USAGE_RETENTION_DAYS || "400", 10);
+const FILES_MAX_BYTES = parseInt(env.FILES_MAX_BYTES || String(50 * 1024 * 1024), 10);
+const FILES_TTL = parseInt(env.FILES_TTL || String(7 * 86400), 10);
+const BATCH_WORKERS = parseInt(env.BATCH_WORKERS || "4", 10);
+const BATCH_CONCURRENCY = parseInt(env.BATCH_CONCURRENCY || "2", 10);
+const BATCH_MAX_REQUESTS = parseInt(env.BATCH_MAX_REQUESTS || "5000", 10);
+const BATCH_MAX_ATTEMPTS = parseInt(env.BATCH_MAX_ATTEMPTS || "3", 10);
+const POOL_EJECT_SECONDS = parseInt(env.POOL_EJECT_SECONDS || "300", 10);
+const POOL_EJECT_HARD_SECONDS = parseInt(env.POOL_EJECT_HARD_SECONDS || "3600", 10);
+const POOL_EJECT_AFTER_429 = parseInt(env.POOL_EJECT_AFTER_429 || "3", 10);
+const POOL_MAX_ATTEMPTS = parseInt(env.POOL_MAX_ATTEMPTS || "3", 10);
+const GRAPH_RETRY_MAX = parseInt(env.GRAPH_RETRY_MAX || "3", 10);
+const GRAPH_RETRY_BASE_MS = parseInt(env.GRAPH_RETRY_BASE_MS || "500", 10);
+const GRAPH_RETRY_MAX_DELAY_MS = parseInt(env.GRAPH_RETRY_MAX_DELAY_MS || "30000", 10);
 
 if (!TENANT_ID || !CLIENT_ID || !CLIENT_SECRET) {
   throw new Error("Missing TENANT_ID / CLIENT_ID / CLIENT_SECRET");
@@ -90,10 +413,250 @@ log("info", "config", {
   logRequests: LOG_REQUESTS,
 });
 
+// =======================
+// Errors
+// =======================
+// Gateway errors carry the HTTP status and the OpenAI-style `type`/`code`/`param` that SDKs
+// use to decide on retries. `extra` fields are merged into the error body.
+class GatewayError extends Error {
+  constructor(message, { status = 500, type = "api_error", code = null, param = null, retryable, extra } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.httpStatus = status;
+    this.type = type;
+    this.code = code;
+    this.param = param;
+    this.retryable = retryable ?? (status === 429 || status >= 500);
+    this.extra = extra || {};
+  }
+}
+
+class InvalidRequestError extends GatewayError {
+  constructor(message, { code = null, param = null, extra } = {}) {
+    super(message, { status: 400, type: "invalid_request_error", code, param, extra });
+  }
+}
+
+class ContextLengthError extends GatewayError {
+  constructor(message, { extra } = {}) {
+    super(message, { status: 400, type: "invalid_request_error", code: "context_length_exceeded", param: "messages", extra });
+  }
+}
+
+class AuthenticationError extends GatewayError {
+  constructor(message, { code = "invalid_api_key", param = null, extra } = {}) {
+    super(message, { status: 401, type: "invalid_request_error", code, param, extra });
+  }
+}
+
+// the Copilot account's refresh token is gone or was revoked; the user has to sign in again
+class ReauthRequiredError extends AuthenticationError {
+  constructor(message, { extra } = {}) {
+    super(message, {
+      code: "reauthentication_required",
+      extra: {
+        reauth: { device_code_start: `${PUBLIC_BASE_URL}/auth/device/start`, login: `${PUBLIC_BASE_URL}/auth/login` },
+        ...extra,
+      },
+    });
+  }
+}
+
+class PermissionDeniedError extends GatewayError {
+  constructor(message, { code = "permission_denied", extra } = {}) {
+    super(message, { status: 403, type: "permission_error", code, extra });
+  }
+}
+
+class NotFoundError extends GatewayError {
+  constructor(message, { code = "not_found", param = null, extra } = {}) {
+    super(message, { status: 404, type: "invalid_request_error", code, param, extra });
+  }
+}
+
+class RequestTooLargeError extends GatewayError {
+  constructor(message, { extra } = {}) {
+    super(message, { status: 413, type: "invalid_request_error", code: "request_too_large", extra });
+  }
+}
+
+class RateLimitError extends GatewayError {
+  constructor(message, { retryAfter = null, extra } = {}) {
+    super(message, { status: 429, type: "requests", code: "rate_limit_exceeded", extra });
+    this.retryAfter = retryAfter;
+  }
+}
+
+// missing Copilot license: OpenAI reports exhausted billing the same way, and it must not be retried
+class InsufficientQuotaError extends GatewayError {
+  constructor(message, { extra } = {}) {
+    super(message, { status: 429, type: "insufficient_quota", code: "insufficient_quota", retryable: false, extra });
+  }
+}
+
+// token quota of a user key used up; retrying before the period resets is pointless
+class QuotaExceededError extends GatewayError {
+  constructor(message, { retryAfter = null, extra } = {}) {
+    super(message, { status: 429, type: "insufficient_quota", code: "quota_exceeded", retryable: false, extra });
+    this.retryAfter = retryAfter;
+  }
+}
+
+class UpstreamError extends GatewayError {
+  constructor(message, { status = 502, code = "upstream_error", extra } = {}) {
+    super(message, { status, type: "api_error", code, extra });
+  }
+}
+
+class UpstreamTimeoutError extends GatewayError {
+  constructor(kind, ms) {
+    super(`Copilot upstream ${kind === "idle" ? "idle " : ""}timeout after ${ms}ms`, {
+      status: 504,
+      type: "timeout_error",
+      code: kind === "idle" ? "upstream_idle_timeout" : "upstream_timeout",
+    });
+  }
+}
+
+class ClientClosedError extends GatewayError {
+  constructor() {
+    super("Client closed the connection", { status: 499, code: "client_closed", retryable: false });
+  }
+}
+
+// Maps a failed Graph response (or an error object inside the stream) onto the hierarchy above.
+function classifyGraphError(op, status, bodyText, { graphReqId = null, retryAfter = null } = {}) {
+  let code = "";
+  let message = "";
+  try {
+    const j = typeof bodyText === "string" ? JSON.parse(bodyText) : bodyText;
+    code = String(j?.error?.code || "");
+    message = String(j?.error?.message || "");
+  } catch {}
+  if (!message) message = safeString(bodyText, 300) || `HTTP ${status}`;
+
+  const extra = { upstream_status: status };
+  if (graphReqId) extra.graph_request_id = graphReqId;
+  const hay = `${code} ${message}`.toLowerCase();
+  const text = `Copilot ${op} failed: ${message}`;
+
+  let err;
+  if (/licen[cs]e/.test(hay)) {
+    err = new InsufficientQuotaError(`${text} (the account has no valid Microsoft 365 Copilot license)`, { extra });
+  } else if (status === 401 || /invalidauthenticationtoken|token is expired|lifetime validation/.test(hay)) {
+    err = new ReauthRequiredError(text, { extra });
+  } else if (status === 403) {
+    const consent = /consent|aadsts65001|authorization_requestdenied|insufficient privileges|scope/.test(hay);
+    err = new PermissionDeniedError(text, { code: consent ? "consent_required" : "permission_denied", extra });
+  } else if (status === 429) {
+    err = new RateLimitError(text, { retryAfter, extra });
+  } else if ((status === 400 || status === 413) && /(too long|too large|exceed|maximum|limit)/.test(hay) && /(prompt|message|token|length|character|size)/.test(hay)) {
+    err = new ContextLengthError(text, { extra });
+  } else if (status === 400 || status === 413) {
+    err = new InvalidRequestError(text, { code: "upstream_bad_request", extra });
+  } else if (status === 404 || status === 410) {
+    err = new NotFoundError(text, { code: "upstream_not_found", extra });
+  } else {
+    const code = status === 503 ? "service_unavailable" : status === 504 ? "upstream_timeout" : "upstream_error";
+    err = new UpstreamError(text, { status: status === 503 || status === 504 ? status : 502, code, extra });
+  }
+  err.upstreamStatus = status;
+  err.graphReqId = graphReqId;
+  return err;
+}
+
+const REAUTH_MSAL_CODES = new Set([
+  "invalid_grant",
+  "interaction_required",
+  "login_required",
+  "consent_required",
+  "no_tokens_found",
+  "no_account_in_silent_request",
+  "refresh_token_expired",
+  "bad_token",
+]);
+
+function classifyMsalError(e) {
+  if (e instanceof GatewayError) return e;
+  if (e instanceof InteractionRequiredAuthError || REAUTH_MSAL_CODES.has(e?.errorCode)) {
+    return new ReauthRequiredError(`Re-authentication required for this X-User-Key (${e?.errorCode || "token refresh failed"})`);
+  }
+  return new UpstreamError(`Token acquisition failed: ${e?.errorCode || e?.message || e}`, { code: "token_acquisition_failed" });
+}
+
+function errorBody(err) {
+  if (err instanceof GatewayError) {
+    return { message: err.message, type: err.type, param: err.param, code: err.code, ...err.extra };
+  }
+  return { message: err?.message || "Internal error", type: "api_error", param: null, code: null };
+}
+
+const ANTHROPIC_ERROR_TYPES = {
+  400: "invalid_request_error",
+  401: "authentication_error",
+  403: "permission_error",
+  404: "not_found_error",
+  413: "request_too_large",
+  429: "rate_limit_error",
+  503: "overloaded_error",
+  504: "timeout_error",
+};
+
+function isAnthropicRequest(req) {
+  return req.path === "/v1/messages";
+}
+
+function sendError(req, res, err) {
+  const status = err?.httpStatus || 500;
+  res.locals.error = err;
+  if (err?.retryAfter) res.setHeader("retry-after", err.retryAfter);
+  if (err instanceof GatewayError) res.setHeader("x-should-retry", String(err.retryable));
+  if (isAnthropicRequest(req)) {
+    return res.status(status).json({ type: "error", error: { type: ANTHROPIC_ERROR_TYPES[status] || "api_error", message: err?.message || "Internal error" } });
+  }
+  res.status(status).json({ error: { ...errorBody(err), requestId: req.requestId } });
+}
+
+// error after the SSE headers went out: one protocol-shaped error event, then the stream terminator
+function writeStreamError(req, res, err) {
+  if (res.writableEnded || res.destroyed) return;
+  res.locals.error = err;
+  const body = errorBody(err);
+  if (isAnthropicRequest(req)) {
+    const type = ANTHROPIC_ERROR_TYPES[err?.httpStatus] || "api_error";
+    res.write(`event: error\ndata: ${JSON.stringify({ type: "error", error: { type, message: body.message } })}\n\n`);
+  } else if (req.path === "/v1/responses") {
+    res.write(`event: error\ndata: ${JSON.stringify({ type: "error", code: body.code, message: body.message, param: body.param })}\n\n`);
+  } else {
+    res.write(`data: ${JSON.stringify({ error: body })}\n\n`);
+    res.write("data: [DONE]\n\n");
+  }
+  res.end();
+}
+
 // =======================
 // Redis
 // =======================
 const redis = new Redis(REDIS_URL);
+
+// one client span per Redis command issued inside a traced request (pipelines included)
+if (TRACING) {
+  const sendCommand = redis.sendCommand.bind(redis);
+  redis.sendCommand = (command, ...rest) => {
+    const parent = traceContext.getStore();
+    if (!parent || !command?.promise) return sendCommand(command, ...rest);
+    const op = String(command.name).toUpperCase();
+    const span = new Span(`redis ${op}`, { kind: "client", parent, attributes: { "db.system": "redis", "db.operation.name": op } });
+    command.promise.then(
+      () => span.end(),
+      (e) => {
+        span.recordError(e);
+        span.end();
+      }
+    );
+    return sendCommand(command, ...rest);
+  };
+}
 redis.on("connect", () => log("info", "redis.connect"));
 redis.on("error", (e) => log("error", "redis.error", { err: safeString(e?.message || e) }));
 
@@ -107,14 +670,16 @@ class RedisSessionStore extends session.Store {
   _key(sid) { return `${this.prefix}${sid}`; }
   async get(sid, cb) {
     try {
-      const data = await this.client.get(this._key(sid));
-      cb(null, data ? JSON.parse(data) : null);
+      const key = this._key(sid);
+      const data = await this.client.get(key);
+      cb(null, data ? JSON.parse(openValue(key, data)) : null);
     } catch (e) { cb(e); }
   }
   async set(sid, sess, cb) {
     try {
       const ttl = this._getTTL(sess);
-      await this.client.set(this._key(sid), JSON.stringify(sess), "EX", ttl);
+      const key = this._key(sid);
+      await this.client.set(key, sealValue(key, JSON.stringify(sess)), "EX", ttl);
       cb(null);
     } catch (e) { cb(e); }
   }
@@ -153,27 +718,88 @@ async function pushDebugEvent(obj) {
   } catch {}
 }
 
+// account:* and devtx:* values are sealed transparently (see "Encryption at rest")
 async function redisGetJson(key) {
   const v = await redis.get(key);
-  return v ? JSON.parse(v) : null;
+  return v ? JSON.parse(isSealedKey(key) ? openValue(key, v) : v) : null;
 }
 async function redisSetJson(key, obj, ttlSeconds = null) {
-  const v = JSON.stringify(obj);
+  const v = isSealedKey(key) ? sealValue(key, JSON.stringify(obj)) : JSON.stringify(obj);
   if (ttlSeconds) await redis.set(key, v, "EX", ttlSeconds);
   else await redis.set(key, v);
 }
 
 // =======================
-// MSAL
+// Encryption at rest
 // =======================
-const msal = new ConfidentialClientApplication({
-  auth: {
-    clientId: CLIENT_ID,
-    authority: `https://login.microsoftonline.com/${TENANT_ID}`,
-    clientSecret: CLIENT_SECRET,
-  },
+// msal:*, msalat:*, account:*, devtx:* and sess:* hold refresh and access tokens, account records and
+// freshly issued user keys, so their values are sealed (envelope encryption, see seal.js).
+// Keys come from DATA_ENCRYPTION_KEYS (or DATA_ENCRYPTION_KEY_FILE) as "<kid>:<key>" entries.
+// The first entry seals new writes; the others only decrypt until the startup migration has
+// re-sealed their values with the active key. Without keys, values are stored as plaintext.
+const SEALED_PREFIXES = ["msal:", "msalat:", "account:", "devtx:", "sess:"];
+const { active: activeDataKey, seal: sealValue, open: openValue } = createSealer(loadDataKeys());
+
+function loadDataKeys() {
+  let raw = env.DATA_ENCRYPTION_KEYS || "";
+  if (!raw && env.DATA_ENCRYPTION_KEY_FILE) raw = fs.readFileSync(env.DATA_ENCRYPTION_KEY_FILE, "utf8");
+  return parseDataKeys(raw);
+}
+
+function isSealedKey(redisKey) {
+  return SEALED_PREFIXES.some((p) => redisKey.startsWith(p));
+}
+
+redis.defineCommand("gwReplaceIfEqual", {
+  numberOfKeys: 1,
+  lua: `if redis.call("GET", KEYS[1]) == ARGV[1] then return redis.call("SET", KEYS[1], ARGV[2], "KEEPTTL") end return false`,
 });
 
+// Seals plaintext values left from before encryption was enabled and re-seals values whose key id
+// is no longer the active one. A value changed concurrently is left for the next run.
+async function migrateSealedValues() {
+  if (!activeDataKey) {
+    log("warn", "encryption.disabled", { hint: "set DATA_ENCRYPTION_KEYS to encrypt tokens and accounts at rest" });
+    return;
+  }
+  const counts = { sealed: 0, rewrapped: 0, failed: 0 };
+  const activePrefix = `${ENC_PREFIX}${activeDataKey.kid}.`;
+  for (const prefix of SEALED_PREFIXES) {
+    let cursor = "0";
+    do {
+      const [next, keys] = await redis.scan(cursor, "MATCH", `${prefix}*`, "COUNT", 200);
+      cursor = next;
+      for (const k of keys) {
+        const v = await redis.get(k);
+        if (!v || v.startsWith(activePrefix)) continue;
+        try {
+          const replaced = await redis.gwReplaceIfEqual(k, v, sealValue(k, openValue(k, v)));
+          if (replaced) counts[v.startsWith(ENC_PREFIX) ? "rewrapped" : "sealed"]++;
+        } catch (e) {
+          counts.failed++;
+          log("warn", "encryption.migrate.entryFailed", { key: `${prefix}…`, err: safeString(e?.message || e) });
+        }
+      }
+    } while (cursor !== "0");
+  }
+  log("info", "encryption.migrated", { kid: activeDataKey.kid, ...counts });
+}
+
+// =======================
+// MSAL
+// =======================
+// Token caches are partitioned per account: msal:<homeAccountId> holds exactly one user's cache.
+// Every client instance reads and writes its partition through MSAL's DistributedCachePlugin, so
+// tokens of different users never share an in-memory cache:
+//   - silent calls use one client per account (kept in a small LRU so authority metadata is reused);
+//     access tokens are also kept in msalat:<homeAccountId>:<scope set> until 5 minutes before they
+//     expire and read from there without locking. Only a miss goes to MSAL, under a Redis lock
+//     (msallock:<homeAccountId>), so concurrent refreshes across requests and replicas can't
+//     overwrite each other's rotated refresh token;
+//   - device code / auth code sign-ins use a fresh client whose cache is written to the partition
+//     of the account that signed in.
+// reauth:<homeAccountId> -> hash { errorCode, at } marks an account whose refresh token is no longer
+// usable; its requests fail fast with 401 reauthentication_required until the user signs in again.
 const SCOPES = [
   "openid",
   "profile",
@@ -186,507 +812,4976 @@ const SCOPES = [
   "ChannelMessage.Read.All",
   "ExternalItem.Read.All",
 ];
+// Attachment uploads get their own token, so accounts that signed in before ATTACHMENTS_ENABLED
+// keep refreshing the chat token; new sign-ins consent to both sets (incremental consent).
+const FILE_SCOPES = ["Files.ReadWrite"];
+const LOGIN_SCOPES = ATTACHMENTS_ENABLED ? [...SCOPES, ...FILE_SCOPES] : SCOPES;
+const MSAL_CACHE_TTL = 60 * 60 * 24 * 7;
+const MSAL_CLIENT_LIMIT = 500;
+const MSAL_LOCK_TTL_MS = 30000;
+const MSAL_LOCK_WAIT_MS = 15000;
+const ACCESS_TOKEN_MARGIN_MS = 5 * 60 * 1000;
 
-async function loadMsalCache(homeAccountId) { return await redis.get(`msal:${homeAccountId}`); }
-async function saveMsalCache(homeAccountId, cache, ttlSeconds = 60 * 60 * 24 * 7) {
-  await redis.set(`msal:${homeAccountId}`, cache, "EX", ttlSeconds);
-}
-async function getAccountByUserKey(userKey) {
-  if (!userKey) return null;
-  const home = await redis.get(`userkey:${userKey}`);
-  if (!home) return null;
-  return await redisGetJson(`account:${home}`);
-}
+const msalCacheClient = {
+  async get(key) {
+    return key ? openValue(key, await redis.get(key)) || "" : "";
+  },
+  async set(key, value) {
+    if (!key) return "";
+    await redis.set(key, sealValue(key, value), "EX", MSAL_CACHE_TTL);
+    return "OK";
+  },
+};
 
-async function acquireAccessToken({ account, requestId }) {
-  const cached = await loadMsalCache(account.homeAccountId);
-  if (cached) msal.getTokenCache().deserialize(cached);
-  const t0 = Date.now();
-  const result = await msal.acquireTokenSilent({ account, scopes: SCOPES });
-  await saveMsalCache(account.homeAccountId, msal.getTokenCache().serialize());
-  log("debug", "msal.acquireTokenSilent", { requestId, ms: Date.now() - t0 });
-  return result.accessToken;
+function createMsalClient(homeAccountId = null) {
+  const partitionManager = {
+    async getKey() {
+      return homeAccountId ? `msal:${homeAccountId}` : "";
+    },
+    async extractKey(accountEntity) {
+      return `msal:${homeAccountId || accountEntity.homeAccountId}`;
+    },
+  };
+  return new ConfidentialClientApplication({
+    auth: {
+      clientId: CLIENT_ID,
+      authority: `https://login.microsoftonline.com/${TENANT_ID}`,
+      clientSecret: CLIENT_SECRET,
+    },
+    cache: { cachePlugin: new DistributedCachePlugin(msalCacheClient, partitionManager) },
+  });
 }
 
-// =======================
-// Express + RequestId
-// =======================
-const app = express();
-if (TRUST_PROXY) app.set("trust proxy", 1);
+const msalClients = new Map();
 
-app.use(express.json({ limit: "2mb" }));
+function msalClientFor(homeAccountId) {
+  let client = msalClients.get(homeAccountId);
+  if (client) msalClients.delete(homeAccountId);
+  else client = createMsalClient(homeAccountId);
+  msalClients.set(homeAccountId, client);
+  if (msalClients.size > MSAL_CLIENT_LIMIT) msalClients.delete(msalClients.keys().next().value);
+  return client;
+}
 
-// request id middleware
-app.use((req, res, next) => {
-  const incoming = req.headers["x-request-id"];
-  const requestId = (typeof incoming === "string" && incoming.length <= 200) ? incoming : crypto.randomUUID();
-  req.requestId = requestId;
-  res.setHeader("x-request-id", requestId);
-  next();
+redis.defineCommand("gwReleaseLock", {
+  numberOfKeys: 1,
+  lua: `if redis.call("GET", KEYS[1]) == ARGV[1] then return redis.call("DEL", KEYS[1]) end return 0`,
 });
 
-// request logging middleware
-if (LOG_REQUESTS) {
-  app.use((req, res, next) => {
-    const start = Date.now();
-    const reqMeta = {
-      requestId: req.requestId,
-      method: req.method,
-      path: req.originalUrl,
-      ip: req.ip,
-      ua: req.headers["user-agent"],
-    };
-    if (LOG_BODY && req.body) {
-      reqMeta.body = safeString(req.body, 800);
-    }
-    log("info", "http.request", reqMeta);
+redis.defineCommand("gwExtendLock", {
+  numberOfKeys: 1,
+  lua: `if redis.call("GET", KEYS[1]) == ARGV[1] then return redis.call("PEXPIRE", KEYS[1], ARGV[2]) end return 0`,
+});
 
-    res.on("finish", () => {
-      log("info", "http.response", {
-        requestId: req.requestId,
-        method: req.method,
-        path: req.originalUrl,
-        status: res.statusCode,
-        ms: Date.now() - start,
-      });
-    });
-    next();
-  });
+async function withAccountLock(homeAccountId, fn) {
+  const key = `msallock:${homeAccountId}`;
+  const token = crypto.randomUUID();
+  const deadline = Date.now() + MSAL_LOCK_WAIT_MS;
+  while (!(await redis.set(key, token, "PX", MSAL_LOCK_TTL_MS, "NX"))) {
+    if (Date.now() > deadline) {
+      throw new UpstreamError("Token refresh for this account is still in progress, please retry", { status: 503, code: "token_refresh_busy" });
+    }
+    await sleep(50 + Math.floor(Math.random() * 100));
+  }
+  try {
+    return await fn();
+  } finally {
+    await redis.gwReleaseLock(key, token).catch(() => {});
+  }
 }
 
-app.use(
-  session({
-    store: new RedisSessionStore(redis, { prefix: "sess:", ttl: SESSION_TTL }),
-    secret: SESSION_SECRET,
-    resave: false,
-    saveUninitialized: false,
-    cookie: {
-      httpOnly: true,
-      sameSite: "lax",
-      secure: PUBLIC_BASE_URL.startsWith("https://"),
-      maxAge: SESSION_TTL * 1000,
-    },
-  })
-);
+function accessTokenCacheKey(homeAccountId, scopes) {
+  return `msalat:${homeAccountId}:${sha256Hex(scopes.join(" ")).slice(0, 8)}`;
+}
 
-// =======================
-// Utility
-// =======================
-function nowUnix() { return Math.floor(Date.now() / 1000); }
+async function readCachedAccessToken(homeAccountId, scopes) {
+  return (await redisGetJson(accessTokenCacheKey(homeAccountId, scopes)))?.accessToken || null;
+}
 
-function requireGatewayToken(req, res) {
-  if (!API_BEARER_TOKEN) return true;
-  const h = req.headers.authorization || "";
-  if (h === `Bearer ${API_BEARER_TOKEN}`) return true;
-  log("warn", "auth.invalidGatewayToken", { requestId: req.requestId, auth: "[REDACTED]" });
-  res.status(401).json({ error: { message: "Invalid gateway token" } });
-  return false;
+async function cacheAccessToken(homeAccountId, scopes, result) {
+  const expiresOn = result?.expiresOn ? new Date(result.expiresOn).getTime() : 0;
+  const ttl = Math.floor((expiresOn - Date.now() - ACCESS_TOKEN_MARGIN_MS) / 1000);
+  if (result?.accessToken && ttl > 0) await redisSetJson(accessTokenCacheKey(homeAccountId, scopes), { accessToken: result.accessToken, expiresOn }, ttl);
 }
 
-function normalizeMode(model) {
-  const m = (model || "auto").toLowerCase();
-  if (m === "gpt-5.2-fast") return "fast";
-  if (m === "gpt-5.2-deep") return "deep";
-  if (["auto", "fast", "deep"].includes(m)) return m;
-  return "auto";
+async function getReauthMark(homeAccountId) {
+  const mark = await redis.hgetall(`reauth:${homeAccountId}`);
+  return mark?.at ? mark : null;
 }
 
-function buildPrompt(messages, mode) {
-  const hints = {
-    auto: "你是企业办公助手。根据问题复杂度自动选择简洁或深入的回答方式。",
-    fast: "请快速、简洁回答，优先给结论和要点，避免长篇铺垫。",
-    deep: "请深入分析，分步骤给出思考与可执行建议，必要时列出风险与注意事项。",
-  };
-  const hint = hints[mode] || hints.auto;
-  const lines = [];
-  lines.push(`SYSTEM: ${hint}`);
-  for (const m of messages || []) {
-    const role = (m.role || "user").toUpperCase();
-    const content = typeof m.content === "string" ? m.content : JSON.stringify(m.content);
-    lines.push(`${role}: ${content}`);
+async function markReauthRequired(homeAccountId, errorCode, requestId) {
+  await redis.hset(`reauth:${homeAccountId}`, { errorCode: errorCode || "interaction_required", at: String(Date.now()) });
+  await redis.expire(`reauth:${homeAccountId}`, USER_KEY_TTL);
+  // cached access tokens would keep the account serving until they expire
+  await redis.del(accessTokenCacheKey(homeAccountId, SCOPES), accessTokenCacheKey(homeAccountId, FILE_SCOPES));
+  msalClients.delete(homeAccountId);
+  log("warn", "msal.reauthRequired", { requestId, homeAccountId, errorCode });
+  // one notification per incident; the mark is cleared by the next successful sign-in
+  if (await redis.hsetnx(`reauth:${homeAccountId}`, "notifiedAt", String(Date.now()))) {
+    notifyAccountKeys(homeAccountId, "key.reauth_required", { reason: errorCode || "interaction_required" });
   }
-  lines.push("ASSISTANT:");
-  return lines.join("\n");
 }
 
-function extractTextFromMessage(msg) {
-  if (!msg || typeof msg !== "object") return null;
-  if (typeof msg.text === "string") return msg.text;
-  if (typeof msg.content === "string") return msg.content;
-  if (msg.message && typeof msg.message.text === "string") return msg.message.text;
-  return null;
+// after a device code / auth code sign-in: the cache plugin already wrote msal:<home>
+async function completeInteractiveLogin(account) {
+  await redisSetJson(`account:${account.homeAccountId}`, account);
+  await redis.del(`reauth:${account.homeAccountId}`, accessTokenCacheKey(account.homeAccountId, SCOPES), accessTokenCacheKey(account.homeAccountId, FILE_SCOPES));
+  msalClients.delete(account.homeAccountId);
 }
 
-function extractBestTextFromEvent(obj, promptEcho) {
-  const msgs = obj?.messages;
-  if (Array.isArray(msgs) && msgs.length) {
-    for (let i = msgs.length - 1; i >= 0; i--) {
+async function getAccountByUserKey(userKey) {
+  if (!userKey) return null;
+  const home = await redis.get(`userkey:${sha256Hex(userKey)}`);
+  if (!home) return null;
+  touchUserKey(userKey);
+  return await redisGetJson(`account:${home}`);
+}
+
+// batch items only know the key id, the plaintext key is never stored; the key itself must still be
+// live, so an expired or revoked key stops its batches just like it stops X-User-Key requests
+async function getAccountByKeyId(id) {
+  const meta = await redis.hgetall(`keymeta:${id}`);
+  if (!meta?.keyHash) return null;
+  const home = await redis.get(`userkey:${meta.keyHash}`);
+  if (!home || home !== meta.homeAccountId) return null;
+  return await redisGetJson(`account:${home}`);
+}
+
+async function acquireAccessToken({ account, requestId, scopes = SCOPES }) {
+  const home = account.homeAccountId;
+  const mark = await getReauthMark(home);
+  if (mark) {
+    throw new ReauthRequiredError(`Re-authentication required for this X-User-Key (${mark.errorCode})`, {
+      extra: { reauth_since: new Date(Number(mark.at)).toISOString() },
+    });
+  }
+  const cached = await readCachedAccessToken(home, scopes);
+  if (cached) return cached;
+  return await withSpan("msal.acquireTokenSilent", {}, async (span) => {
+    const t0 = Date.now();
+    let result;
+    try {
+      result = await withAccountLock(home, async () => {
+        // another request or replica may have refreshed while this one waited for the lock
+        const fresh = await readCachedAccessToken(home, scopes);
+        if (fresh) return { accessToken: fresh, fromCache: true };
+        const r = await msalClientFor(home).acquireTokenSilent({ account, scopes });
+        await cacheAccessToken(home, scopes, r);
+        return r;
+      });
+    } catch (e) {
+      if (e instanceof GatewayError) throw e;
+      log("warn", "msal.acquireTokenSilent.failed", { requestId, errorCode: e?.errorCode, err: safeString(e?.message || e) });
+      span.setAttributes({ "msal.error_code": e?.errorCode });
+      const err = classifyMsalError(e);
+      // a missing consent for extra scopes says nothing about the account's chat token
+      if (err instanceof ReauthRequiredError && scopes !== SCOPES) {
+        throw new PermissionDeniedError(
+          `This account has not granted ${scopes.join(", ")}, which file attachments need. Sign in again to grant it, or pass SharePoint/OneDrive URLs in copilot.files.`,
+          { code: "consent_required", extra: { reauth: { device_code_start: `${PUBLIC_BASE_URL}/auth/device/start`, login: `${PUBLIC_BASE_URL}/auth/login` } } }
+        );
+      }
+      incCounter("msal_token_refresh_failures_total", { reauth: String(err instanceof ReauthRequiredError) });
+      if (err instanceof ReauthRequiredError) await markReauthRequired(home, e?.errorCode, requestId);
+      throw err;
+    }
+    log("debug", "msal.acquireTokenSilent", { requestId, ms: Date.now() - t0 });
+    span.setAttributes({ "msal.from_cache": !!result.fromCache });
+    return result.accessToken;
+  });
+}
+
+// =======================
+// User key registry
+// =======================
+// userkey:<sha256(key)> -> homeAccountId (lookup used on every request)
+// keymeta:<id>   -> hash { id, keyHash, hint, homeAccountId, label, createdAt, lastUsedAt, ... }
+// Only hashes of user keys are stored; `hint` is the masked form shown in listings.
+// userkeys       -> set of key ids
+function userKeyId(userKey) {
+  return crypto.createHash("sha256").update(String(userKey)).digest("hex").slice(0, 16);
+}
+
+function maskUserKey(userKey) {
+  if (!userKey) return null;
+  if (userKey.length <= 12) return "****";
+  return `${userKey.slice(0, 4)}…${userKey.slice(-4)}`;
+}
+
+function normalizeLabel(label) {
+  if (typeof label !== "string") return "";
+  return label.trim().slice(0, 100);
+}
+
+async function registerUserKey(account, { label = "", createdVia = "device_code", rotatedFrom = "", limits = {} } = {}) {
+  const userKey = base64url(crypto.randomBytes(24));
+  const keyHash = sha256Hex(userKey);
+  const id = userKeyId(userKey);
+  const meta = {
+    id,
+    keyHash,
+    hint: maskUserKey(userKey),
+    homeAccountId: account.homeAccountId,
+    username: account.username || "",
+    name: account.name || "",
+    tenantId: account.tenantId || "",
+    label: normalizeLabel(label),
+    createdVia,
+    rotatedFrom,
+    createdAt: String(Date.now()),
+    lastUsedAt: "",
+    ...Object.fromEntries(KEY_LIMIT_FIELDS.map((f) => [f, limits[f] ?? ""])),
+  };
+  await redis
+    .multi()
+    .set(`userkey:${keyHash}`, account.homeAccountId, "EX", USER_KEY_TTL)
+    .hset(`keymeta:${id}`, meta)
+    .expire(`keymeta:${id}`, USER_KEY_TTL)
+    .sadd("userkeys", id)
+    .exec();
+  return { userKey, meta };
+}
+
+// accepts either the full user key or its 16-hex id
+async function findUserKeyMeta(ref) {
+  if (typeof ref !== "string" || !ref) return null;
+  const isId = /^[0-9a-f]{16}$/.test(ref);
+  const id = isId ? ref : userKeyId(ref);
+  const meta = await redis.hgetall(`keymeta:${id}`);
+  if (!meta?.id) return null;
+  if (!isId && !safeEqual(meta.keyHash || "", sha256Hex(ref))) return null;
+  return meta;
+}
+
+// records use and, with USER_KEY_SLIDING, restarts the key's USER_KEY_TTL
+function touchUserKey(userKey) {
+  const id = userKeyId(userKey);
+  const k = `keymeta:${id}`;
+  (async () => {
+    if (!(await redis.exists(k))) return;
+    const tx = redis.multi().hset(k, "lastUsedAt", String(Date.now()));
+    if (USER_KEY_SLIDING) {
+      tx.expire(k, USER_KEY_TTL).expire(`userkey:${sha256Hex(userKey)}`, USER_KEY_TTL).expire(`keyhealth:${id}`, USER_KEY_TTL);
+    }
+    await tx.exec();
+  })().catch(() => {});
+}
+
+function presentUserKey(meta, ttl, reauth = null) {
+  const ms = (v) => (v ? new Date(Number(v)).toISOString() : null);
+  return {
+    id: meta.id,
+    key: meta.hint || null,
+    label: meta.label || "",
+    homeAccountId: meta.homeAccountId,
+    username: meta.username || null,
+    name: meta.name || null,
+    created_via: meta.createdVia || null,
+    rotated_from: meta.rotatedFrom || null,
+    created_at: ms(meta.createdAt),
+    last_used_at: ms(meta.lastUsedAt),
+    expires_at: ttl > 0 ? new Date(Date.now() + ttl * 1000).toISOString() : null,
+    limits: keyLimitOverrides(meta),
+    needs_reauth: !!reauth,
+    reauth_reason: reauth?.errorCode || null,
+  };
+}
+
+// per-key rate limit and token quota overrides; null means "use the RATE_LIMIT_* / QUOTA_* default"
+const KEY_LIMIT_FIELDS = ["rpm", "rpd", "concurrency", "daily_tokens", "daily_tokens_soft", "monthly_tokens", "monthly_tokens_soft"];
+
+function keyLimitOverrides(meta) {
+  const out = {};
+  for (const f of KEY_LIMIT_FIELDS) out[f] = meta?.[f] === "" || meta?.[f] == null ? null : Number(meta[f]);
+  return out;
+}
+
+async function listUserKeys() {
+  const ids = await redis.smembers("userkeys");
+  if (!ids.length) return [];
+  const p = redis.pipeline();
+  for (const id of ids) p.hgetall(`keymeta:${id}`).ttl(`keymeta:${id}`);
+  const rows = await p.exec();
+  const homes = [...new Set(rows.filter((_, i) => i % 2 === 0).map(([, m]) => m?.homeAccountId).filter(Boolean))];
+  const marks = new Map();
+  for (const home of homes) marks.set(home, await getReauthMark(home));
+  const out = [];
+  const stale = [];
+  ids.forEach((id, i) => {
+    const meta = rows[i * 2][1];
+    const ttl = rows[i * 2 + 1][1];
+    if (!meta?.id) stale.push(id);
+    else out.push(presentUserKey(meta, ttl, marks.get(meta.homeAccountId)));
+  });
+  if (stale.length) await redis.srem("userkeys", ...stale);
+  out.sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+  return out;
+}
+
+async function revokeUserKey(meta) {
+  await redis
+    .multi()
+    .del(`userkey:${meta.keyHash}`)
+    .del(`keymeta:${meta.id}`, `keyhealth:${meta.id}`)
+    .srem("userkeys", meta.id)
+    .exec();
+}
+
+async function rotateUserKey(meta) {
+  const account = (await redisGetJson(`account:${meta.homeAccountId}`)) || { homeAccountId: meta.homeAccountId };
+  const limits = Object.fromEntries(KEY_LIMIT_FIELDS.map((f) => [f, meta[f]]));
+  const next = await registerUserKey(account, { label: meta.label, createdVia: "rotate", rotatedFrom: meta.id, limits });
+  await revokeUserKey(meta);
+  return next;
+}
+
+// Older deployments stored user keys in plaintext: userkey:<key> names and a `userKey` field in
+// keymeta. Each such mapping is renamed to userkey:<sha256>, keeping its TTL, and its keymeta
+// (created here for keys issued before the registry existed) gets keyHash/hint instead.
+async function migrateLegacyUserKeys() {
+  let cursor = "0";
+  let migrated = 0;
+  do {
+    const [next, keys] = await redis.scan(cursor, "MATCH", "userkey:*", "COUNT", 200);
+    cursor = next;
+    for (const k of keys) {
+      const userKey = k.slice("userkey:".length);
+      if (/^[0-9a-f]{64}$/.test(userKey)) continue;
+      const id = userKeyId(userKey);
+      const keyHash = sha256Hex(userKey);
+      const home = await redis.get(k);
+      const ttl = await redis.ttl(k);
+      if (!home) continue;
+      const tx = redis.multi();
+      if (await redis.exists(`keymeta:${id}`)) {
+        tx.hset(`keymeta:${id}`, { keyHash, hint: maskUserKey(userKey) }).hdel(`keymeta:${id}`, "userKey");
+      } else {
+        const account = (await redisGetJson(`account:${home}`)) || {};
+        tx.hset(`keymeta:${id}`, {
+          id,
+          keyHash,
+          hint: maskUserKey(userKey),
+          homeAccountId: home,
+          username: account.username || "",
+          name: account.name || "",
+          tenantId: account.tenantId || "",
+          label: "",
+          createdVia: "legacy",
+          rotatedFrom: "",
+          createdAt: "",
+          lastUsedAt: "",
+        })
+          .expire(`keymeta:${id}`, ttl > 0 ? ttl : USER_KEY_TTL)
+          .sadd("userkeys", id);
+      }
+      await tx.rename(k, `userkey:${keyHash}`).exec();
+      migrated++;
+    }
+  } while (cursor !== "0");
+  if (migrated) log("info", "userkeys.migrated", { count: migrated });
+}
+
+redis.once("ready", () => {
+  migrateLegacyUserKeys().catch((e) => log("warn", "userkeys.migrate.failed", { err: safeString(e?.message || e) }));
+  migrateSealedValues().catch((e) => log("warn", "encryption.migrate.failed", { err: safeString(e?.message || e) }));
+});
+
+// =======================
+// Key health & notifications
+// =======================
+// keyhealth:<keyId> -> hash { lastSuccessAt, lastErrorAt, lastError, lastErrorCode, licenseIssue, consentIssue,
+//                             lastRefreshAt, lastRefreshError, expiryNotifiedAt }
+// A background sweep (every TOKEN_REFRESH_INTERVAL_MS, one replica at a time) force-refreshes the
+// token cache of accounts used in the last TOKEN_REFRESH_IDLE_DAYS once it is older than
+// TOKEN_REFRESH_AGE, and warns about keys that expire within KEY_EXPIRY_WARN_DAYS.
+// Notifications are POSTed to WEBHOOK_URL, signed with HMAC-SHA256 when WEBHOOK_SECRET is set.
+function reauthLinks(label) {
+  const q = label ? `?label=${encodeURIComponent(label)}` : "";
+  return { device_code_start: `${PUBLIC_BASE_URL}/auth/device/start`, login: `${PUBLIC_BASE_URL}/auth/login${q}` };
+}
+
+async function sendWebhook(event, payload) {
+  if (!WEBHOOK_URL) return;
+  const body = JSON.stringify({ event, at: new Date().toISOString(), ...payload });
+  const headers = { "Content-Type": "application/json", "X-Gateway-Event": event };
+  if (WEBHOOK_SECRET) headers["X-Gateway-Signature"] = `sha256=${crypto.createHmac("sha256", WEBHOOK_SECRET).update(body).digest("hex")}`;
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      const res = await fetch(WEBHOOK_URL, { method: "POST", headers, body, signal: AbortSignal.timeout(10000) });
+      if (res.ok) {
+        log("info", "webhook.sent", { event, status: res.status });
+        return;
+      }
+      log("warn", "webhook.failed", { event, status: res.status, attempt });
+    } catch (e) {
+      log("warn", "webhook.failed", { event, attempt, err: safeString(e?.message || e) });
+    }
+    await sleep(1000 * 2 ** attempt);
+  }
+}
+
+// Notifications go out one at a time in the background, so a sweep over many keys never waits on the
+// receiver; past WEBHOOK_QUEUE_MAX pending notifications the oldest are dropped.
+const WEBHOOK_QUEUE_MAX = 1000;
+const webhookQueue = [];
+let webhookDraining = false;
+
+function queueWebhook(event, payload) {
+  if (!WEBHOOK_URL) return;
+  if (webhookQueue.length >= WEBHOOK_QUEUE_MAX) log("warn", "webhook.dropped", { event: webhookQueue.shift().event });
+  webhookQueue.push({ event, payload });
+  if (!webhookDraining) drainWebhooks();
+}
+
+async function drainWebhooks() {
+  webhookDraining = true;
+  try {
+    while (webhookQueue.length) {
+      const { event, payload } = webhookQueue.shift();
+      await sendWebhook(event, payload);
+    }
+  } finally {
+    webhookDraining = false;
+  }
+}
+
+function keyNotification(meta, extra = {}) {
+  return {
+    key: { id: meta.id, label: meta.label || null, hint: meta.hint || null },
+    account: { homeAccountId: meta.homeAccountId, username: meta.username || null },
+    ...extra,
+  };
+}
+
+async function loadKeyMetas() {
+  const ids = await redis.smembers("userkeys");
+  if (!ids.length) return [];
+  const p = redis.pipeline();
+  for (const id of ids) p.hgetall(`keymeta:${id}`).ttl(`keymeta:${id}`).hgetall(`keyhealth:${id}`);
+  const rows = await p.exec();
+  return ids
+    .map((id, i) => ({ meta: rows[i * 3][1], ttl: rows[i * 3 + 1][1], health: rows[i * 3 + 2][1] || {} }))
+    .filter((r) => r.meta?.id);
+}
+
+async function notifyAccountKeys(homeAccountId, event, extra) {
+  try {
+    const keys = (await loadKeyMetas()).filter((r) => r.meta.homeAccountId === homeAccountId);
+    for (const { meta } of keys) queueWebhook(event, keyNotification(meta, { ...extra, reauth: reauthLinks(meta.label) }));
+  } catch (e) {
+    log("warn", "webhook.notify.failed", { event, homeAccountId, err: safeString(e?.message || e) });
+  }
+}
+
+// upstream-side failures say something about the key's account; gateway-side rejections don't
+function isAccountHealthError(err) {
+  return err?.upstreamStatus != null || err instanceof ReauthRequiredError || err?.code === "token_acquisition_failed";
+}
+
+// records the outcome of a Copilot request against the key that served it
+function trackKeyHealth(req, res) {
+  res.once("close", () => {
+    const keyId = req.userKeyId;
+    if (!keyId) return;
+    const err = res.locals.error;
+    const k = `keyhealth:${keyId}`;
+    const now = String(Date.now());
+    let tx;
+    if (!err && res.writableFinished && res.statusCode < 400) {
+      tx = redis.multi().hset(k, "lastSuccessAt", now).hdel(k, "licenseIssue", "consentIssue");
+    } else if (isAccountHealthError(err)) {
+      tx = redis.multi().hset(k, { lastErrorAt: now, lastError: safeString(err.message, 300), lastErrorCode: err.code || "" });
+      if (err instanceof InsufficientQuotaError) tx.hset(k, "licenseIssue", now);
+      if (err.code === "consent_required") tx.hset(k, "consentIssue", now);
+    } else return;
+    tx.expire(k, USER_KEY_TTL)
+      .exec()
+      .catch(() => {});
+  });
+}
+
+function keyHealthStatus({ meta, ttl, health }, mark) {
+  if (mark) return "needs_reauth";
+  if (health.licenseIssue) return "license_issue";
+  if (health.consentIssue) return "consent_issue";
+  if (ttl > 0 && ttl < KEY_EXPIRY_WARN_DAYS * 86400) return "expiring";
+  if (health.lastRefreshError || Number(health.lastErrorAt || 0) > Number(health.lastSuccessAt || 0)) return "degraded";
+  const idleMs = TOKEN_REFRESH_IDLE_DAYS * 86400 * 1000;
+  if (!meta.lastUsedAt || Date.now() - Number(meta.lastUsedAt) > idleMs) return "idle";
+  return "healthy";
+}
+
+function presentKeyHealth(row, mark) {
+  const ms = (v) => (v ? new Date(Number(v)).toISOString() : null);
+  const { meta, ttl, health } = row;
+  return {
+    id: meta.id,
+    key: meta.hint || null,
+    label: meta.label || "",
+    username: meta.username || null,
+    homeAccountId: meta.homeAccountId,
+    status: keyHealthStatus(row, mark),
+    expires_at: ttl > 0 ? new Date(Date.now() + ttl * 1000).toISOString() : null,
+    last_used_at: ms(meta.lastUsedAt),
+    last_success_at: ms(health.lastSuccessAt),
+    last_error_at: ms(health.lastErrorAt),
+    last_error: health.lastError || null,
+    last_error_code: health.lastErrorCode || null,
+    last_refresh_at: ms(health.lastRefreshAt),
+    last_refresh_error: health.lastRefreshError || null,
+    license_issue: !!health.licenseIssue,
+    consent_issue: !!health.consentIssue,
+    needs_reauth: !!mark,
+    reauth_reason: mark?.errorCode || null,
+    reauth: mark ? reauthLinks(meta.label) : null,
+  };
+}
+
+async function listKeyHealth() {
+  const rows = await loadKeyMetas();
+  const marks = new Map();
+  for (const home of new Set(rows.map((r) => r.meta.homeAccountId))) marks.set(home, await getReauthMark(home));
+  return rows
+    .map((r) => presentKeyHealth(r, marks.get(r.meta.homeAccountId)))
+    .sort((a, b) => String(a.status).localeCompare(String(b.status)) || String(a.label).localeCompare(String(b.label)));
+}
+
+// force-refreshes one account's tokens; returns null on success or the classified error
+async function refreshAccountTokens(homeAccountId) {
+  const account = await redisGetJson(`account:${homeAccountId}`);
+  if (!account) return new ReauthRequiredError("Account record missing");
+  try {
+    await withAccountLock(homeAccountId, async () => {
+      const result = await msalClientFor(homeAccountId).acquireTokenSilent({ account, scopes: SCOPES, forceRefresh: true });
+      await cacheAccessToken(homeAccountId, SCOPES, result);
+    });
+    return null;
+  } catch (e) {
+    if (e instanceof GatewayError) return e;
+    const err = classifyMsalError(e);
+    incCounter("msal_token_refresh_failures_total", { reauth: String(err instanceof ReauthRequiredError) });
+    if (err instanceof ReauthRequiredError) await markReauthRequired(homeAccountId, e?.errorCode, "scheduler");
+    return err;
+  }
+}
+
+// sched:keyhealth spaces scheduled sweeps one interval apart across replicas; sched:keyhealth:running is
+// held by whichever sweep (scheduled or forced) is running and renewed before every refresh and
+// notification, so a sweep that loses it (e.g. stalled past KEYHEALTH_RUN_LOCK_MS) stops instead of running alongside
+// the next one. null when skipped or another sweep runs.
+const KEYHEALTH_RUN_LOCK_MS = 2 * 60 * 1000;
+
+async function runKeyHealthSweep({ force = false } = {}) {
+  const lockMs = Math.max(60000, TOKEN_REFRESH_INTERVAL_MS - 5000);
+  if (!force && !(await redis.set("sched:keyhealth", String(process.pid), "PX", lockMs, "NX"))) return null;
+  const lockKey = "sched:keyhealth:running";
+  const runId = crypto.randomUUID();
+  if (!(await redis.set(lockKey, runId, "PX", KEYHEALTH_RUN_LOCK_MS, "NX"))) return null;
+  const holdLock = async () => (await redis.gwExtendLock(lockKey, runId, KEYHEALTH_RUN_LOCK_MS)) === 1;
+  try {
+    return await keyHealthSweep(holdLock);
+  } finally {
+    await redis.gwReleaseLock(lockKey, runId).catch(() => {});
+  }
+}
+
+async function keyHealthSweep(holdLock) {
+  const t0 = Date.now();
+  const rows = await loadKeyMetas();
+  const summary = { keys: rows.length, refreshed: 0, refreshFailed: 0, reauth: 0, expiring: 0 };
+  const lockLost = () => {
+    log("warn", "keyhealth.sweep.lockLost", { ...summary, ms: Date.now() - t0 });
+    return { ...summary, lockLost: true };
+  };
+
+  const byAccount = new Map();
+  for (const r of rows) {
+    if (!byAccount.has(r.meta.homeAccountId)) byAccount.set(r.meta.homeAccountId, []);
+    byAccount.get(r.meta.homeAccountId).push(r);
+  }
+
+  const idleBefore = Date.now() - TOKEN_REFRESH_IDLE_DAYS * 86400 * 1000;
+  for (const [home, keys] of byAccount) {
+    if (await getReauthMark(home)) {
+      summary.reauth++;
+      continue;
+    }
+    if (!keys.some((r) => Number(r.meta.lastUsedAt || 0) >= idleBefore)) continue;
+    const cacheTtl = await redis.ttl(`msal:${home}`);
+    if (cacheTtl > MSAL_CACHE_TTL - TOKEN_REFRESH_AGE) continue;
+    if (!(await holdLock())) return lockLost();
+
+    const err = await refreshAccountTokens(home);
+    const now = String(Date.now());
+    const tx = redis.multi();
+    for (const { meta } of keys) {
+      const k = `keyhealth:${meta.id}`;
+      if (err) tx.hset(k, { lastRefreshAt: now, lastRefreshError: `${err.code}: ${safeString(err.message, 200)}` });
+      else tx.hset(k, "lastRefreshAt", now).hdel(k, "lastRefreshError");
+      tx.expire(k, USER_KEY_TTL);
+    }
+    await tx.exec();
+    if (err) {
+      summary.refreshFailed++;
+      if (err instanceof ReauthRequiredError) summary.reauth++;
+      log("warn", "keyhealth.refresh.failed", { homeAccountId: home, code: err.code });
+    } else summary.refreshed++;
+  }
+
+  const warnBelow = KEY_EXPIRY_WARN_DAYS * 86400;
+  for (const { meta, ttl, health } of rows) {
+    const k = `keyhealth:${meta.id}`;
+    if (ttl > 0 && ttl < warnBelow) {
+      summary.expiring++;
+      if (health.expiryNotifiedAt) continue;
+      if (!(await holdLock())) return lockLost();
+      await redis.hset(k, "expiryNotifiedAt", String(Date.now()));
+      await redis.expire(k, ttl);
+      queueWebhook(
+        "key.expiring",
+        keyNotification(meta, { expires_at: new Date(Date.now() + ttl * 1000).toISOString(), reauth: reauthLinks(meta.label) })
+      );
+    } else if (health.expiryNotifiedAt) {
+      await redis.hdel(k, "expiryNotifiedAt");
+    }
+  }
+
+  log("info", "keyhealth.sweep", { ...summary, ms: Date.now() - t0 });
+  return summary;
+}
+
+if (TOKEN_REFRESH_INTERVAL_MS > 0) {
+  setInterval(() => {
+    runKeyHealthSweep().catch((e) => log("error", "keyhealth.sweep.failed", { err: safeString(e?.message || e) }));
+  }, TOKEN_REFRESH_INTERVAL_MS).unref();
+}
+
+// =======================
+// Gateway tokens (scoped client credentials)
+// =======================
+// gwtoken:<id> -> hash { id, name, hash, scopes, createdAt, lastUsedAt, revokedAt }
+// gwtokens     -> set of token ids
+// Only the sha256 of a token is stored; the id is its first 16 hex chars.
+const GATEWAY_SCOPES = ["chat", "models", "auth", "admin"];
+
+function sha256Hex(s) {
+  return crypto.createHash("sha256").update(String(s)).digest("hex");
+}
+
+function safeEqual(a, b) {
+  const ab = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+}
+
+function normalizeScopes(scopes) {
+  const list = Array.isArray(scopes) ? scopes : String(scopes || "").split(/[\s,]+/);
+  return [...new Set(list.map((x) => String(x).trim().toLowerCase()).filter((x) => GATEWAY_SCOPES.includes(x)))];
+}
+
+async function createGatewayToken({ name, scopes }) {
+  const token = `gw-${base64url(crypto.randomBytes(32))}`;
+  const hash = sha256Hex(token);
+  const id = hash.slice(0, 16);
+  const meta = {
+    id,
+    name,
+    hash,
+    scopes: scopes.join(","),
+    createdAt: String(Date.now()),
+    lastUsedAt: "",
+    revokedAt: "",
+  };
+  await redis.multi().hset(`gwtoken:${id}`, meta).sadd("gwtokens", id).exec();
+  return { token, meta };
+}
+
+async function findGatewayToken(token) {
+  const hash = sha256Hex(token);
+  const meta = await redis.hgetall(`gwtoken:${hash.slice(0, 16)}`);
+  if (!meta?.id || !safeEqual(meta.hash, hash)) return null;
+  return meta;
+}
+
+function presentGatewayToken(meta) {
+  const ms = (v) => (v ? new Date(Number(v)).toISOString() : null);
+  return {
+    id: meta.id,
+    name: meta.name,
+    scopes: normalizeScopes(meta.scopes),
+    created_at: ms(meta.createdAt),
+    last_used_at: ms(meta.lastUsedAt),
+    revoked_at: ms(meta.revokedAt),
+  };
+}
+
+async function listGatewayTokens() {
+  const ids = await redis.smembers("gwtokens");
+  if (!ids.length) return [];
+  const p = redis.pipeline();
+  for (const id of ids) p.hgetall(`gwtoken:${id}`);
+  const rows = await p.exec();
+  return rows
+    .map(([, meta]) => meta)
+    .filter((meta) => meta?.id)
+    .map(presentGatewayToken)
+    .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+}
+
+async function revokeGatewayToken(id) {
+  const k = `gwtoken:${id}`;
+  if (!(await redis.exists(k))) return false;
+  await redis.hset(k, "revokedAt", String(Date.now()));
+  return true;
+}
+
+// tokens that come from the environment rather than Redis; null when not configured
+function builtinGatewayToken(id) {
+  if (id === "anonymous") return API_BEARER_TOKEN ? null : { id: "anonymous", name: "anonymous", scopes: ["chat", "models", "auth"] };
+  if (id === "admin") return ADMIN_BEARER_TOKEN ? { id: "admin", name: "admin", scopes: [...GATEWAY_SCOPES] } : null;
+  if (id === "env" && API_BEARER_TOKEN) {
+    const scopes = ["chat", "models", "auth"];
+    if (!ADMIN_BEARER_TOKEN) scopes.push("admin");
+    return { id: "env", name: "API_BEARER_TOKEN", scopes };
+  }
+  return null;
+}
+
+// by id, for work queued under a token (batches); null once the token is revoked
+async function gatewayTokenById(id) {
+  const builtin = builtinGatewayToken(id);
+  if (builtin) return builtin;
+  const meta = await redis.hgetall(`gwtoken:${id}`);
+  if (!meta?.id || meta.revokedAt) return null;
+  return { id: meta.id, name: meta.name, scopes: normalizeScopes(meta.scopes) };
+}
+
+function bearerFromHeaders(req) {
+  const h = req.headers.authorization || "";
+  const apiKey = req.headers["x-api-key"];
+  return h.startsWith("Bearer ") ? h.slice(7).trim() : typeof apiKey === "string" ? apiKey.trim() : "";
+}
+
+// Resolves the caller's credential to { id, name, scopes }, or null when the bearer is unknown.
+// - ADMIN_BEARER_TOKEN: every scope
+// - API_BEARER_TOKEN: chat/models/auth (+admin when no ADMIN_BEARER_TOKEN is configured)
+// - Redis tokens: their own scopes, unless revoked
+// - no API_BEARER_TOKEN and no bearer at all: anonymous, everything but admin
+// The credential is read from `Authorization: Bearer` or, for Anthropic-style clients, `x-api-key`.
+async function resolveGatewayToken(req, bearer = bearerFromHeaders(req)) {
+  if (req.batchOwner) return await gatewayTokenById(req.batchOwner.tokenId);
+  if (!bearer) return builtinGatewayToken("anonymous");
+  if (ADMIN_BEARER_TOKEN && safeEqual(bearer, ADMIN_BEARER_TOKEN)) return builtinGatewayToken("admin");
+  if (API_BEARER_TOKEN && safeEqual(bearer, API_BEARER_TOKEN)) return builtinGatewayToken("env");
+  const meta = await findGatewayToken(bearer);
+  if (!meta || meta.revokedAt) return null;
+  redis.hset(`gwtoken:${meta.id}`, "lastUsedAt", String(Date.now())).catch(() => {});
+  return { id: meta.id, name: meta.name, scopes: normalizeScopes(meta.scopes) };
+}
+
+// =======================
+// Rate limits
+// =======================
+// Per subject (user key and gateway token), all checked and applied atomically:
+//   rl:<subject>:m:<minute>  request count in the current minute
+//   rl:<subject>:d:<day>     request count in the current UTC day
+//   rl:<subject>:inflight    zset of in-flight request ids scored by start time
+// A limit of 0 disables that check.
+redis.defineCommand("gwRateLimit", {
+  lua: `
+local n = #KEYS / 3
+local now, member, staleBefore, inflightTtl = ARGV[1], ARGV[2], ARGV[3], ARGV[4]
+local state = {}
+for i = 0, n - 1 do
+  local rpm, rpd, conc = tonumber(ARGV[5 + i * 3]), tonumber(ARGV[6 + i * 3]), tonumber(ARGV[7 + i * 3])
+  local m = tonumber(redis.call('GET', KEYS[1 + i * 3]) or '0')
+  local d = tonumber(redis.call('GET', KEYS[2 + i * 3]) or '0')
+  redis.call('ZREMRANGEBYSCORE', KEYS[3 + i * 3], '-inf', staleBefore)
+  local c = redis.call('ZCARD', KEYS[3 + i * 3])
+  if rpm > 0 and m >= rpm then return {i, 1, m, d, c} end
+  if rpd > 0 and d >= rpd then return {i, 2, m, d, c} end
+  if conc > 0 and c >= conc then return {i, 3, m, d, c} end
+  state[i] = {m, d, c}
+end
+local out = {-1, 0}
+for i = 0, n - 1 do
+  local m = redis.call('INCR', KEYS[1 + i * 3])
+  redis.call('EXPIRE', KEYS[1 + i * 3], 120)
+  local d = redis.call('INCR', KEYS[2 + i * 3])
+  redis.call('EXPIRE', KEYS[2 + i * 3], 172800)
+  redis.call('ZADD', KEYS[3 + i * 3], now, member)
+  redis.call('PEXPIRE', KEYS[3 + i * 3], inflightTtl)
+  table.insert(out, m)
+  table.insert(out, d)
+  table.insert(out, state[i][3] + 1)
+end
+return out
+`,
+});
+
+// OpenAI-style reset durations such as "6m0s", "12s", "2h5m"
+function formatResetDuration(ms) {
+  const sec = Math.max(1, Math.ceil(ms / 1000));
+  const h = Math.floor(sec / 3600);
+  const m = Math.floor((sec % 3600) / 60);
+  const s = sec % 60;
+  if (h) return `${h}h${m}m`;
+  if (m) return `${m}m${s}s`;
+  return `${s}s`;
+}
+
+function effectiveLimit(override, fallback) {
+  return override == null || Number.isNaN(override) ? fallback : override;
+}
+
+// limits of the account a request runs on: its X-User-Key, or the session account
+async function keyRateLimitSubject(req) {
+  if (req.userKeyId) {
+    const overrides = keyLimitOverrides(await redis.hgetall(`keymeta:${req.userKeyId}`));
+    return {
+      name: "X-User-Key",
+      key: `rl:key:${req.userKeyId}`,
+      rpm: effectiveLimit(overrides.rpm, RATE_LIMIT_RPM),
+      rpd: effectiveLimit(overrides.rpd, RATE_LIMIT_RPD),
+      concurrency: effectiveLimit(overrides.concurrency, RATE_LIMIT_CONCURRENCY),
+    };
+  }
+  if (req.account?.homeAccountId) {
+    return {
+      name: "account",
+      key: `rl:acct:${sha256Hex(req.account.homeAccountId).slice(0, 16)}`,
+      rpm: RATE_LIMIT_RPM,
+      rpd: RATE_LIMIT_RPD,
+      concurrency: RATE_LIMIT_CONCURRENCY,
+    };
+  }
+  return null;
+}
+
+function tokenRateLimitSubject(req) {
+  if (!req.gatewayToken) return null;
+  return {
+    name: "gateway token",
+    key: `rl:tok:${req.gatewayToken.id}`,
+    rpm: TOKEN_RATE_LIMIT_RPM,
+    rpd: TOKEN_RATE_LIMIT_RPD,
+    concurrency: TOKEN_RATE_LIMIT_CONCURRENCY,
+  };
+}
+
+// Counts one request against the subjects and takes their in-flight slots; throws RateLimitError
+// when a limit is hit. Returns a function that releases the slots. Headers are set when res is given.
+async function takeRateLimits(req, res, subjects) {
+  const active = subjects.filter((x) => x && (x.rpm > 0 || x.rpd > 0 || x.concurrency > 0));
+  if (!active.length) return () => {};
+
+  const now = Date.now();
+  const minute = Math.floor(now / 60000);
+  const day = new Date(now).toISOString().slice(0, 10).replace(/-/g, "");
+  const maxAge = (COPILOT_TIMEOUT_MS > 0 ? COPILOT_TIMEOUT_MS : 30 * 60 * 1000) + 60000;
+  const keys = active.flatMap((x) => [`${x.key}:m:${minute}`, `${x.key}:d:${day}`, `${x.key}:inflight`]);
+  const args = [now, req.slotId, now - maxAge, maxAge, ...active.flatMap((x) => [x.rpm, x.rpd, x.concurrency])];
+  const r = await redis.gwRateLimit(keys.length, ...keys, ...args);
+
+  const resetMinute = (minute + 1) * 60000 - now;
+  const resetDay = Date.UTC(new Date(now).getUTCFullYear(), new Date(now).getUTCMonth(), new Date(now).getUTCDate() + 1) - now;
+
+  if (r[0] >= 0) {
+    const hit = active[r[0]];
+    const [, which, m, d, c] = r;
+    const kind = which === 1 ? "requests per minute" : which === 2 ? "requests per day" : "concurrent requests";
+    const limit = which === 1 ? hit.rpm : which === 2 ? hit.rpd : hit.concurrency;
+    const waitMs = which === 1 ? resetMinute : which === 2 ? resetDay : 1000;
+    if (res && which !== 3 && hit.rpm > 0) {
+      res.setHeader("x-ratelimit-limit-requests", hit.rpm);
+      res.setHeader("x-ratelimit-remaining-requests", Math.max(0, hit.rpm - m));
+      res.setHeader("x-ratelimit-reset-requests", formatResetDuration(resetMinute));
+    }
+    log("warn", "ratelimit.exceeded", { requestId: req.requestId, subject: hit.key, kind, limit, minute: m, day: d, inflight: c });
+    throw new RateLimitError(
+      `Rate limit reached for ${hit.name} ${kind} (limit: ${limit}). Please try again in ${formatResetDuration(waitMs)}.`,
+      { retryAfter: String(Math.ceil(waitMs / 1000)) }
+    );
+  }
+
+  // headers describe the tightest per-minute budget among the limited subjects
+  let tightest = null;
+  active.forEach((x, i) => {
+    if (!(x.rpm > 0)) return;
+    const remaining = Math.max(0, x.rpm - r[2 + i * 3]);
+    if (!tightest || remaining < tightest.remaining) tightest = { limit: x.rpm, remaining };
+  });
+  if (res && tightest) {
+    res.setHeader("x-ratelimit-limit-requests", tightest.limit);
+    res.setHeader("x-ratelimit-remaining-requests", tightest.remaining);
+    res.setHeader("x-ratelimit-reset-requests", formatResetDuration(resetMinute));
+  }
+
+  return () => {
+    const p = redis.pipeline();
+    for (const x of active) p.zrem(`${x.key}:inflight`, req.slotId);
+    p.exec().catch(() => {});
+  };
+}
+
+// Enforces user-key and gateway-token limits for one Copilot request; sends a 429 and returns false
+// when a limit is hit. In-flight slots are released when the response closes.
+async function enforceRateLimits(req, res) {
+  let release;
+  try {
+    release = await takeRateLimits(req, res, [await keyRateLimitSubject(req), tokenRateLimitSubject(req)]);
+  } catch (e) {
+    if (!(e instanceof RateLimitError)) throw e;
+    sendError(req, res, e);
+    return false;
+  }
+  req.releaseRateLimits = release;
+  res.once("close", () => req.releaseRateLimits());
+  return true;
+}
+
+// =======================
+// Usage accounting & quotas
+// =======================
+// Copilot reports no token usage, so prompt and answer text are counted with the bundled o200k_base
+// tokenizer; the numbers are estimates. Every completed Copilot request is aggregated into:
+//   usage:d:<YYYYMMDD> / usage:m:<YYYYMM>           hash "<keyId>|<tokenId>|<model>|<metric>" -> count
+//                                                    (metric: requests, prompt_tokens, completion_tokens)
+//   usagetotal:d:<YYYYMMDD> / usagetotal:m:<YYYYMM> hash "key:<keyId>" / "token:<tokenId>" -> total tokens
+//   quotawarn:<d|m>:<period>:<keyId>                 set once the soft-quota webhook went out
+// Requests without a user key (browser session) are accounted to "session".
+const USAGE_METRICS = ["requests", "prompt_tokens", "completion_tokens"];
+const TOKENIZE_CHUNK_CHARS = 2048;
+
+// chunked, because BPE on one very long run without spaces is quadratic; yields to the event
+// loop between chunks so a large body does not stall other requests
+async function countTextTokens(text) {
+  const s = String(text || "");
+  let n = 0;
+  for (let i = 0; i < s.length; i += TOKENIZE_CHUNK_CHARS) {
+    if (i) await new Promise((resolve) => setImmediate(resolve));
+    n += countTokens(s.slice(i, i + TOKENIZE_CHUNK_CHARS));
+  }
+  return n;
+}
+
+// `extra` adds tokens spent outside the main prompt/answer (structured output repairs)
+async function tokenUsage(prompt, completion, extra = null) {
+  const promptTokens = (await countTextTokens(prompt)) + (extra?.prompt || 0);
+  const completionTokens = (await countTextTokens(completion)) + (extra?.completion || 0);
+  return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+}
+
+function usagePeriods(now = Date.now()) {
+  const day = new Date(now).toISOString().slice(0, 10).replace(/-/g, "");
+  return { day, month: day.slice(0, 6) };
+}
+
+function periodResetMs(kind, now = Date.now()) {
+  const d = new Date(now);
+  const next =
+    kind === "d"
+      ? Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1)
+      : Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+  return next - now;
+}
+
+function usageSubject(req) {
+  return {
+    keyId: req.userKeyId || "session",
+    tokenId: req.gatewayToken?.id || "none",
+    model: req.modelProfile?.id || modelLabel(req.body?.model),
+  };
+}
+
+// effective { d: { soft, hard }, m: { soft, hard } } token quotas of a user key (0 = none)
+function keyQuotas(meta) {
+  const o = keyLimitOverrides(meta);
+  return {
+    d: { soft: effectiveLimit(o.daily_tokens_soft, QUOTA_DAILY_TOKENS_SOFT), hard: effectiveLimit(o.daily_tokens, QUOTA_DAILY_TOKENS) },
+    m: { soft: effectiveLimit(o.monthly_tokens_soft, QUOTA_MONTHLY_TOKENS_SOFT), hard: effectiveLimit(o.monthly_tokens, QUOTA_MONTHLY_TOKENS) },
+  };
+}
+
+async function keyUsageTotals(keyId, periods = usagePeriods()) {
+  const [d, m] = await Promise.all([
+    redis.hget(`usagetotal:d:${periods.day}`, `key:${keyId}`),
+    redis.hget(`usagetotal:m:${periods.month}`, `key:${keyId}`),
+  ]);
+  return { d: Number(d || 0), m: Number(m || 0) };
+}
+
+// Rejects requests of a user key whose hard quota is used up (429 quota_exceeded) and flags a
+// passed soft quota with x-gateway-quota-warning. Pool members are not subject to quotas.
+async function enforceQuota(req, res) {
+  if (!req.userKeyId || req.pool) return true;
+  const meta = await redis.hgetall(`keymeta:${req.userKeyId}`);
+  const quotas = keyQuotas(meta);
+  if (![quotas.d, quotas.m].some((q) => q.soft > 0 || q.hard > 0)) return true;
+  const used = await keyUsageTotals(req.userKeyId);
+  const names = { d: "daily", m: "monthly" };
+  for (const kind of ["d", "m"]) {
+    const { soft, hard } = quotas[kind];
+    if (hard > 0) res.setHeader(`x-gateway-quota-remaining-tokens-${names[kind]}`, Math.max(0, hard - used[kind]));
+    if (hard > 0 && used[kind] >= hard) {
+      const waitMs = periodResetMs(kind);
+      log("warn", "quota.exceeded", { requestId: req.requestId, keyId: req.userKeyId, period: names[kind], used: used[kind], hard });
+      sendError(
+        req,
+        res,
+        new QuotaExceededError(
+          `You exceeded the ${names[kind]} token quota of this key (${used[kind]} of ${hard} tokens). It resets in ${formatResetDuration(waitMs)}.`,
+          { retryAfter: String(Math.ceil(waitMs / 1000)) }
+        )
+      );
+      return false;
+    }
+    if (soft > 0 && used[kind] >= soft) res.setHeader("x-gateway-quota-warning", `${names[kind]} soft quota exceeded`);
+  }
+  return true;
+}
+
+// one webhook per key and period when the soft quota is first passed; runs in the background
+async function notifySoftQuota(keyId, totals, periods) {
+  try {
+    await sendSoftQuotaWarnings(keyId, totals, periods);
+  } catch (e) {
+    log("warn", "webhook.notify.failed", { event: "key.quota_warning", keyId, err: safeString(e?.message || e) });
+  }
+}
+
+async function sendSoftQuotaWarnings(keyId, totals, periods) {
+  const meta = await redis.hgetall(`keymeta:${keyId}`);
+  if (!meta?.id) return;
+  const quotas = keyQuotas(meta);
+  for (const [kind, period] of [["d", periods.day], ["m", periods.month]]) {
+    const { soft, hard } = quotas[kind];
+    if (!(soft > 0) || totals[kind] < soft) continue;
+    const ttl = Math.ceil(periodResetMs(kind) / 1000) + 3600;
+    if (!(await redis.set(`quotawarn:${kind}:${period}:${keyId}`, "1", "EX", ttl, "NX"))) continue;
+    queueWebhook(
+      "key.quota_warning",
+      keyNotification(meta, { period: kind === "d" ? "daily" : "monthly", used_tokens: totals[kind], soft_quota: soft, hard_quota: hard || null })
+    );
+  }
+}
+
+// best effort: accounting failures are logged, never surfaced to the client
+async function recordUsage(req, usage) {
+  try {
+    const { keyId, tokenId, model } = usageSubject(req);
+    const periods = usagePeriods();
+    const retention = USAGE_RETENTION_DAYS * 86400;
+    const field = (metric) => `${keyId}|${tokenId}|${model}|${metric}`;
+    const total = usage.prompt_tokens + usage.completion_tokens;
+    // the two key totals come first so their new values are rows[0] and rows[1]
+    const p = redis
+      .pipeline()
+      .hincrby(`usagetotal:d:${periods.day}`, `key:${keyId}`, total)
+      .hincrby(`usagetotal:m:${periods.month}`, `key:${keyId}`, total)
+      .hincrby(`usagetotal:d:${periods.day}`, `token:${tokenId}`, total)
+      .hincrby(`usagetotal:m:${periods.month}`, `token:${tokenId}`, total)
+      .expire(`usagetotal:d:${periods.day}`, retention)
+      .expire(`usagetotal:m:${periods.month}`, retention + 31 * 86400);
+    for (const k of [`usage:d:${periods.day}`, `usage:m:${periods.month}`]) {
+      p.hincrby(k, field("requests"), 1)
+        .hincrby(k, field("prompt_tokens"), usage.prompt_tokens)
+        .hincrby(k, field("completion_tokens"), usage.completion_tokens)
+        .expire(k, retention + 31 * 86400);
+    }
+    const rows = await p.exec();
+    incCounter("gateway_tokens_total", { model, kind: "prompt" }, usage.prompt_tokens);
+    incCounter("gateway_tokens_total", { model, kind: "completion" }, usage.completion_tokens);
+    if (keyId !== "session") notifySoftQuota(keyId, { d: Number(rows[0][1]), m: Number(rows[1][1]) }, periods);
+  } catch (e) {
+    log("warn", "usage.record.failed", { requestId: req.requestId, err: safeString(e?.message || e) });
+  }
+}
+
+const USAGE_GROUP_FIELDS = ["period", "key", "token", "model"];
+const USAGE_MAX_PERIODS = { day: 400, month: 36 };
+
+// "2026-10-01" / "20261001" (day) or "2026-10" / "202610" (month) -> UTC ms, NaN when malformed
+function parseUsagePeriod(period, v) {
+  const m = period === "day" ? /^(\d{4})-?(\d{2})-?(\d{2})$/.exec(v) : /^(\d{4})-?(\d{2})$/.exec(v);
+  if (!m) return NaN;
+  const t = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3] || 1));
+  const d = new Date(t);
+  return d.getUTCMonth() === Number(m[2]) - 1 && (!m[3] || d.getUTCDate() === Number(m[3])) ? t : NaN;
+}
+
+// list of period ids from..to (inclusive), or { error }
+function usagePeriodRange(period, from, to) {
+  const now = Date.now();
+  const start = from ? parseUsagePeriod(period, String(from)) : period === "day" ? now - 6 * 86400000 : now;
+  const end = to ? parseUsagePeriod(period, String(to)) : now;
+  if (Number.isNaN(start) || Number.isNaN(end) || start > end) {
+    return { error: period === "day" ? "from/to must be YYYY-MM-DD, with from <= to" : "from/to must be YYYY-MM, with from <= to" };
+  }
+  const ids = [];
+  const d = new Date(start);
+  while (d.getTime() <= end) {
+    const day = usagePeriods(d.getTime()).day;
+    ids.push(period === "day" ? day : day.slice(0, 6));
+    if (ids.length > USAGE_MAX_PERIODS[period]) return { error: `at most ${USAGE_MAX_PERIODS[period]} ${period}s per query` };
+    if (period === "day") d.setUTCDate(d.getUTCDate() + 1);
+    else d.setUTCMonth(d.getUTCMonth() + 1, 1);
+  }
+  return { ids };
+}
+
+// sums usage:<d|m>:<period> fields into one row per distinct group_by combination
+async function readUsageReport({ period, ids, groupBy, filter }) {
+  const p = redis.pipeline();
+  for (const id of ids) p.hgetall(`usage:${period === "day" ? "d" : "m"}:${id}`);
+  const rows = await p.exec();
+  const groups = new Map();
+  ids.forEach((id, i) => {
+    for (const [field, value] of Object.entries(rows[i][1] || {})) {
+      const [key, token, model, metric] = field.split("|");
+      if (!USAGE_METRICS.includes(metric)) continue;
+      if ((filter.keyId && key !== filter.keyId) || (filter.tokenId && token !== filter.tokenId) || (filter.model && model !== filter.model)) continue;
+      const dims = { period: id, key, token, model };
+      const groupKey = groupBy.map((g) => dims[g]).join("|");
+      let row = groups.get(groupKey);
+      if (!row) {
+        row = { ...Object.fromEntries(groupBy.map((g) => [g, dims[g]])), requests: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+        groups.set(groupKey, row);
+      }
+      row[metric] += Number(value) || 0;
+      if (metric !== "requests") row.total_tokens += Number(value) || 0;
+    }
+  });
+  return [...groups.values()].sort((a, b) => b.total_tokens - a.total_tokens);
+}
+
+// =======================
+// Model catalog
+// =======================
+// Every model id maps to a prompt profile. Sources, later ones overriding earlier ones by id:
+// built-in profiles (MODEL_CATALOG_BUILTINS), MODEL_CATALOG_FILE (JSON or YAML, watched for changes) and Redis.
+// models         -> hash id -> JSON profile, managed through /admin/models
+// models:version -> bumped on every admin change; instances poll it and reload
+const MODEL_ID_RE = /^[A-Za-z0-9_.:-]{1,64}$/;
+const MODEL_FIELDS = ["description", "preamble", "language", "timeZone", "countryOrRegion", "roleTemplate", "allowedTokens"];
+const DEFAULT_ROLE_TEMPLATE = "{ROLE}: {content}";
+const MODEL_CATALOG_POLL_MS = 5000;
+
+const PREAMBLE_AUTO = "你是企业办公助手。根据问题复杂度自动选择简洁或深入的回答方式。";
+const PREAMBLE_FAST = "请快速、简洁回答，优先给结论和要点，避免长篇铺垫。";
+const PREAMBLE_DEEP = "请深入分析，分步骤给出思考与可执行建议，必要时列出风险与注意事项。";
+const BUILTIN_MODELS = [
+  { id: "auto", description: "Copilot, answer depth chosen per question", preamble: PREAMBLE_AUTO },
+  { id: "fast", description: "Copilot, short answers", preamble: PREAMBLE_FAST },
+  { id: "deep", description: "Copilot, step-by-step analysis", preamble: PREAMBLE_DEEP },
+  { id: "gpt-5.2-fast", description: "Alias of fast", preamble: PREAMBLE_FAST },
+  { id: "gpt-5.2-deep", description: "Alias of deep", preamble: PREAMBLE_DEEP },
+];
+
+let modelCatalog = new Map();
+let modelFileProfiles = [];
+let modelRedisProfiles = [];
+let modelCatalogVersion = null;
+
+function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// returns { profile } or { error }
+function validateModelProfile(id, raw) {
+  if (typeof id !== "string" || !MODEL_ID_RE.test(id)) return { error: `invalid model id: ${safeString(String(id), 80)}` };
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { error: `model '${id}' must be an object` };
+  const unknown = Object.keys(raw).find((k) => k !== "id" && !MODEL_FIELDS.includes(k));
+  if (unknown) return { error: `model '${id}': unknown field '${unknown}'` };
+  for (const f of MODEL_FIELDS.filter((f) => f !== "allowedTokens")) {
+    if (raw[f] != null && typeof raw[f] !== "string") return { error: `model '${id}': ${f} must be a string` };
+  }
+  if (raw.timeZone && !isValidTimeZone(raw.timeZone)) return { error: `model '${id}': unknown timeZone '${raw.timeZone}'` };
+  if (raw.countryOrRegion && !/^[A-Za-z]{2}$/.test(raw.countryOrRegion)) {
+    return { error: `model '${id}': countryOrRegion must be a two-letter code` };
+  }
+  if (raw.roleTemplate && !raw.roleTemplate.includes("{content}")) {
+    return { error: `model '${id}': roleTemplate must contain {content}` };
+  }
+  if (raw.allowedTokens != null && !(Array.isArray(raw.allowedTokens) && raw.allowedTokens.every((t) => typeof t === "string" && t))) {
+    return { error: `model '${id}': allowedTokens must be an array of token ids` };
+  }
+  const profile = { id };
+  for (const f of MODEL_FIELDS) if (raw[f] != null && raw[f] !== "") profile[f] = raw[f];
+  if (profile.countryOrRegion) profile.countryOrRegion = profile.countryOrRegion.toUpperCase();
+  if (profile.allowedTokens) profile.allowedTokens = [...new Set(profile.allowedTokens)];
+  return { profile };
+}
+
+// accepts a list of profiles, { models: [...] } or a map of id -> profile; any invalid entry rejects the whole file
+function readModelCatalogFile() {
+  const doc = YAML.parse(fs.readFileSync(MODEL_CATALOG_FILE, "utf8")) ?? [];
+  const src = doc && !Array.isArray(doc) && typeof doc === "object" && "models" in doc ? doc.models : doc;
+  const list = Array.isArray(src)
+    ? src
+    : src && typeof src === "object"
+      ? Object.entries(src).map(([id, p]) => ({ ...p, id }))
+      : null;
+  if (!list) throw new Error("expected a list or a map of models");
+  return list.map((entry) => {
+    const { profile, error } = validateModelProfile(entry?.id, entry);
+    if (error) throw new Error(error);
+    return profile;
+  });
+}
+
+function rebuildModelCatalog() {
+  const next = new Map();
+  const add = (list, source) => {
+    for (const p of list) next.set(p.id, { ...p, source });
+  };
+  if (MODEL_CATALOG_BUILTINS) add(BUILTIN_MODELS, "builtin");
+  add(modelFileProfiles, "file");
+  add(modelRedisProfiles, "redis");
+  modelCatalog = next;
+}
+
+// a broken edit keeps the previous catalog
+function reloadModelCatalogFile() {
+  if (!MODEL_CATALOG_FILE) return;
+  try {
+    modelFileProfiles = readModelCatalogFile();
+    rebuildModelCatalog();
+    log("info", "models.file.loaded", { file: MODEL_CATALOG_FILE, count: modelFileProfiles.length });
+  } catch (e) {
+    log("error", "models.file.invalid", { file: MODEL_CATALOG_FILE, err: safeString(e?.message || e) });
+  }
+}
+
+async function reloadRedisModels() {
+  const [version, h] = await Promise.all([redis.get("models:version"), redis.hgetall("models")]);
+  const profiles = [];
+  for (const [id, json] of Object.entries(h || {})) {
+    let raw;
+    try {
+      raw = JSON.parse(json);
+    } catch {
+      raw = null;
+    }
+    const { profile, error } = validateModelProfile(id, raw);
+    if (error) log("warn", "models.redis.invalid", { id, err: error });
+    else profiles.push(profile);
+  }
+  modelRedisProfiles = profiles;
+  modelCatalogVersion = version;
+  rebuildModelCatalog();
+}
+
+async function pollModelCatalog() {
+  try {
+    if ((await redis.get("models:version")) !== modelCatalogVersion) await reloadRedisModels();
+  } catch (e) {
+    log("debug", "models.poll.failed", { err: safeString(e?.message || e) });
+  }
+}
+
+// an unreadable file at startup is a configuration error
+if (MODEL_CATALOG_FILE) {
+  modelFileProfiles = readModelCatalogFile();
+  fs.watchFile(MODEL_CATALOG_FILE, { interval: 2000 }, reloadModelCatalogFile).unref();
+}
+rebuildModelCatalog();
+redis.once("ready", () => {
+  reloadRedisModels().catch((e) => log("warn", "models.redis.load.failed", { err: safeString(e?.message || e) }));
+  setInterval(pollModelCatalog, MODEL_CATALOG_POLL_MS).unref();
+});
+
+function lookupModel(id) {
+  if (typeof id !== "string") return null;
+  return modelCatalog.get(id) || modelCatalog.get(id.toLowerCase()) || null;
+}
+
+// profiles without allowedTokens are open to every gateway token
+function modelAllowed(profile, req) {
+  return !profile.allowedTokens?.length || profile.allowedTokens.includes(req.gatewayToken?.id);
+}
+
+// bounded metrics label: catalog id or "unknown"
+function modelLabel(model) {
+  return lookupModel(model ?? MODEL_DEFAULT)?.id || "unknown";
+}
+
+// pool-bound aliases outside the catalog use the default profile
+async function resolveModel(req) {
+  const id = req.body?.model ?? MODEL_DEFAULT;
+  if (typeof id !== "string" || !id) throw new InvalidRequestError("model must be a non-empty string", { param: "model" });
+  let profile = lookupModel(id);
+  if (!profile && (await listPools()).some((p) => p.models.includes(id))) {
+    profile = { ...(lookupModel(MODEL_DEFAULT) || {}), id, allowedTokens: undefined };
+  }
+  if (!profile || !modelAllowed(profile, req)) {
+    throw new NotFoundError(`The model '${safeString(id, 80)}' does not exist or you do not have access to it.`, {
+      code: "model_not_found",
+      param: "model",
+    });
+  }
+  req.modelProfile = profile;
+  return profile;
+}
+
+// the profile's location overrides TIME_ZONE / COUNTRY_OR_REGION; explicit copilot extras still win
+function profileExtras(profile, extras) {
+  if (!profile.timeZone && !profile.countryOrRegion) return extras;
+  return {
+    locationHint: { timeZone: profile.timeZone || TIME_ZONE, countryOrRegion: profile.countryOrRegion || COUNTRY_OR_REGION },
+    ...extras,
+  };
+}
+
+// =======================
+// Account pools
+// =======================
+// pool:<name>          -> hash { name, strategy, members, tokens, models, createdAt, updatedAt } (lists as JSON)
+// pools                -> set of pool names
+// poolhealth:<keyId>   -> hash { ejectedUntil, reason, consecutive429, lastError, lastErrorAt, lastSuccessAt }
+// poolinflight:<keyId> -> zset of in-flight request ids
+// poolrr:<name>        -> round-robin counter
+// poolsticky:<name>:<sha> -> keyId that served a conversation_id / user / response id
+// Requests without X-User-Key or session are routed to a pool bound to their model alias or gateway token.
+const POOL_STRATEGIES = ["round_robin", "least_inflight"];
+
+function parsePool(h) {
+  const list = (v) => {
+    try {
+      const a = JSON.parse(v || "[]");
+      return Array.isArray(a) ? a : [];
+    } catch {
+      return [];
+    }
+  };
+  return {
+    name: h.name,
+    strategy: POOL_STRATEGIES.includes(h.strategy) ? h.strategy : "round_robin",
+    members: list(h.members),
+    tokens: list(h.tokens),
+    models: list(h.models),
+    createdAt: h.createdAt,
+    updatedAt: h.updatedAt,
+  };
+}
+
+async function listPools() {
+  const names = await redis.smembers("pools");
+  if (!names.length) return [];
+  const p = redis.pipeline();
+  for (const n of names) p.hgetall(`pool:${n}`);
+  const rows = await p.exec();
+  return rows
+    .map(([, h]) => h)
+    .filter((h) => h?.name)
+    .map(parsePool)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function getPool(name) {
+  const h = await redis.hgetall(`pool:${name}`);
+  return h?.name ? parsePool(h) : null;
+}
+
+// model alias takes precedence over the gateway token binding
+async function findPoolForRequest(req) {
+  const model = req.body?.model;
+  const tokenId = req.gatewayToken?.id;
+  const pools = await listPools();
+  return (
+    (typeof model === "string" && pools.find((p) => p.models.includes(model))) ||
+    (tokenId && pools.find((p) => p.tokens.includes(tokenId))) ||
+    null
+  );
+}
+
+function poolStickyRef(req) {
+  const b = req.body || {};
+  const ref = [b.conversation_id, b.user, b.previous_response_id, b.metadata?.user_id].find(
+    (v) => typeof v === "string" && v.trim()
+  );
+  return ref ? sha256Hex(ref.trim()) : null;
+}
+
+function inflightStaleBefore() {
+  return Date.now() - (COPILOT_TIMEOUT_MS > 0 ? COPILOT_TIMEOUT_MS : 30 * 60 * 1000) - 60000;
+}
+
+// per-member view: registry metadata, health and in-flight count
+async function loadPoolMembers(pool) {
+  if (!pool.members.length) return [];
+  const stale = inflightStaleBefore();
+  const p = redis.pipeline();
+  for (const id of pool.members) {
+    p.hgetall(`keymeta:${id}`).hgetall(`poolhealth:${id}`).zremrangebyscore(`poolinflight:${id}`, "-inf", stale).zcard(`poolinflight:${id}`);
+  }
+  const rows = await p.exec();
+  const now = Date.now();
+  return pool.members.map((id, i) => {
+    const meta = rows[i * 4][1];
+    const health = rows[i * 4 + 1][1] || {};
+    const ejectedUntil = Number(health.ejectedUntil || 0);
+    return {
+      id,
+      meta: meta?.id ? meta : null,
+      inflight: rows[i * 4 + 3][1] || 0,
+      ejected: ejectedUntil > now,
+      health: {
+        ejected_until: ejectedUntil > now ? new Date(ejectedUntil).toISOString() : null,
+        reason: ejectedUntil > now ? health.reason || null : null,
+        consecutive_429: Number(health.consecutive429 || 0),
+        last_error: health.lastError || null,
+        last_error_at: health.lastErrorAt ? new Date(Number(health.lastErrorAt)).toISOString() : null,
+        last_success_at: health.lastSuccessAt ? new Date(Number(health.lastSuccessAt)).toISOString() : null,
+      },
+    };
+  });
+}
+
+async function selectPoolMember(pool, { exclude = new Set(), stickyRef = null, prefer = null } = {}) {
+  const members = await loadPoolMembers(pool);
+  const healthy = members.filter((m) => m.meta && !m.ejected && !exclude.has(m.id));
+  if (!healthy.length) return null;
+
+  let pick = (prefer && healthy.find((m) => m.id === prefer)) || null;
+  if (!pick && stickyRef) {
+    const sticky = await redis.get(`poolsticky:${pool.name}:${stickyRef}`);
+    pick = healthy.find((m) => m.id === sticky) || null;
+  }
+  if (!pick && pool.strategy === "least_inflight") {
+    pick = healthy.reduce((a, b) => (b.inflight < a.inflight ? b : a));
+  }
+  if (!pick) {
+    const n = await redis.incr(`poolrr:${pool.name}`);
+    pick = healthy[n % healthy.length];
+  }
+
+  const account = await redisGetJson(`account:${pick.meta.homeAccountId}`);
+  if (!account) {
+    await ejectPoolMember(pick.id, "account_missing", POOL_EJECT_HARD_SECONDS);
+    return await selectPoolMember(pool, { exclude: new Set([...exclude, pick.id]), stickyRef });
+  }
+  return { keyId: pick.id, account };
+}
+
+async function ejectPoolMember(keyId, reason, seconds) {
+  await redis.hset(`poolhealth:${keyId}`, { ejectedUntil: String(Date.now() + seconds * 1000), reason, consecutive429: "0" });
+  await redis.expire(`poolhealth:${keyId}`, 7 * 24 * 3600);
+  log("warn", "pool.eject", { keyId, reason, seconds });
+}
+
+// records a failed attempt; returns true when another member should be tried
+async function recordPoolFailure(keyId, err) {
+  const k = `poolhealth:${keyId}`;
+  await redis.hset(k, { lastError: `${err?.code || err?.name}: ${safeString(err?.message, 200)}`, lastErrorAt: String(Date.now()) });
+  await redis.expire(k, 7 * 24 * 3600);
+  if (err instanceof InsufficientQuotaError || err instanceof ReauthRequiredError) {
+    await ejectPoolMember(keyId, err.code, POOL_EJECT_HARD_SECONDS);
+    return true;
+  }
+  if (err?.code === "token_acquisition_failed") {
+    await ejectPoolMember(keyId, err.code, POOL_EJECT_SECONDS);
+    return true;
+  }
+  if (err instanceof RateLimitError) {
+    const n = await redis.hincrby(k, "consecutive429", 1);
+    if (POOL_EJECT_AFTER_429 > 0 && n >= POOL_EJECT_AFTER_429) await ejectPoolMember(keyId, "rate_limited", POOL_EJECT_SECONDS);
+    return true;
+  }
+  return false;
+}
+
+async function recordPoolSuccess(req) {
+  const keyId = req.userKeyId;
+  await redis.hset(`poolhealth:${keyId}`, { consecutive429: "0", lastSuccessAt: String(Date.now()) });
+  await redis.expire(`poolhealth:${keyId}`, 7 * 24 * 3600);
+  const ref = poolStickyRef(req);
+  if (ref) await redis.set(`poolsticky:${req.pool.name}:${ref}`, keyId, "EX", CONVERSATION_TTL);
+}
+
+// lets a later previous_response_id land on the member that produced this response
+async function rememberPoolAffinity(req, ref) {
+  if (!req.pool || !req.userKeyId) return;
+  await redis.set(`poolsticky:${req.pool.name}:${sha256Hex(ref)}`, req.userKeyId, "EX", CONVERSATION_TTL);
+}
+
+function trackPoolInflight(req, res) {
+  const add = (id) => redis.zadd(`poolinflight:${id}`, Date.now(), req.slotId).catch(() => {});
+  const remove = (id) => redis.zrem(`poolinflight:${id}`, req.slotId).catch(() => {});
+  add(req.userKeyId);
+  res.once("close", () => remove(req.userKeyId));
+  return { add, remove };
+}
+
+// next healthy member whose own X-User-Key limits still admit the request; the member's rate
+// limit slots are taken here and handed over to the request
+async function pickFailoverMember(req, tried) {
+  for (;;) {
+    const next = await selectPoolMember(req.pool, { exclude: tried });
+    if (!next) return null;
+    tried.add(next.keyId);
+    try {
+      const release = await takeRateLimits(req, null, [await keyRateLimitSubject({ userKeyId: next.keyId })]);
+      return { ...next, release };
+    } catch (e) {
+      if (!(e instanceof RateLimitError)) throw e;
+    }
+  }
+}
+
+// Runs attempt(account) and, for pooled requests, retries on another healthy member when the
+// account fails with a license, re-auth or throttling error.
+async function withAccountFailover(req, account, attempt) {
+  if (!req.pool) return await attempt(account);
+  const tried = new Set();
+  let current = account;
+  for (let i = 1; ; i++) {
+    tried.add(req.userKeyId);
+    try {
+      const result = await attempt(current);
+      await recordPoolSuccess(req).catch(() => {});
+      return result;
+    } catch (e) {
+      if (e instanceof ClientClosedError || !(await recordPoolFailure(req.userKeyId, e).catch(() => false))) throw e;
+      if (i >= POOL_MAX_ATTEMPTS) throw e;
+      const next = await pickFailoverMember(req, tried);
+      if (!next) throw e;
+      log("warn", "pool.failover", { requestId: req.requestId, pool: req.pool.name, from: req.userKeyId, to: next.keyId, code: e?.code });
+      req.poolInflight.remove(req.userKeyId);
+      redis.zrem(`rl:key:${req.userKeyId}:inflight`, req.slotId).catch(() => {});
+      const releasePrevious = req.releaseRateLimits || (() => {});
+      req.releaseRateLimits = () => {
+        releasePrevious();
+        next.release();
+      };
+      req.userKeyId = next.keyId;
+      req.account = next.account;
+      req.poolInflight.add(next.keyId);
+      current = next.account;
+    }
+  }
+}
+
+// =======================
+// Audit log
+// =======================
+// One record per Copilot request: who (account, key, client token), what (model, prompt, answer,
+// citations) and how it went (status, latency). Records go to a sink chosen by AUDIT_SINK:
+//   redis -> stream audit:log, entry ids are ms timestamps, trimmed by MINID on every write
+//   file  -> AUDIT_DIR/audit-YYYY-MM-DD.jsonl, files past retention are deleted hourly
+// Prompt and answer pass through the AUDIT_REDACT rules before they are stored.
+const AUDIT_REDACT_RULES = {
+  email: [/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, "[EMAIL]"],
+  cn_id: [/\b\d{17}[\dXx]\b/g, "[ID]"],
+  card: [/\b(?:\d{4}[ -]?){3}\d{1,7}\b/g, "[CARD]"],
+  phone: [/(?<![\w.])\+?\d[\d -]{6,}\d\b/g, "[PHONE]"],
+};
+const AUDIT_RETENTION_MS = AUDIT_RETENTION_DAYS * 24 * 3600 * 1000;
+const auditRedactors = buildAuditRedactors();
+
+function buildAuditRedactors() {
+  const list = [];
+  // fixed order: longer digit runs (ids, cards) before phone numbers
+  for (const name of Object.keys(AUDIT_REDACT_RULES)) {
+    if (AUDIT_REDACT.includes(name)) list.push(AUDIT_REDACT_RULES[name]);
+  }
+  const unknown = AUDIT_REDACT.filter((n) => !AUDIT_REDACT_RULES[n]);
+  if (unknown.length) log("warn", "audit.redact.unknownRule", { rules: unknown });
+  if (AUDIT_REDACT_PATTERNS) {
+    try {
+      for (const src of JSON.parse(AUDIT_REDACT_PATTERNS)) list.push([new RegExp(src, "g"), "[REDACTED]"]);
+    } catch (e) {
+      log("error", "audit.redact.badPatterns", { err: safeString(e?.message || e) });
+    }
+  }
+  return list;
+}
+
+function redactAuditText(text) {
+  if (typeof text !== "string" || !text) return text ?? null;
+  let out = text;
+  for (const [re, repl] of auditRedactors) out = out.replace(re, repl);
+  return out.length > AUDIT_MAX_CHARS ? out.slice(0, AUDIT_MAX_CHARS) + "…" : out;
+}
+
+// Both sinks select records by request start (record.ts). Stream entry ids are write times, i.e.
+// when the response closed, so the Redis sink scans this far past `to` to find long requests.
+const AUDIT_WRITE_LAG_MS = Math.max(3600 * 1000, 2 * COPILOT_TIMEOUT_MS) + 60000;
+
+function createRedisAuditSink() {
+  const key = "audit:log";
+  return {
+    async write(record) {
+      await redis.xadd(key, "MINID", "~", String(Date.now() - AUDIT_RETENTION_MS), "*", "r", JSON.stringify(record));
+    },
+    async *read({ from, to }) {
+      let start = String(from);
+      while (true) {
+        const rows = await redis.xrange(key, start, String(to + AUDIT_WRITE_LAG_MS), "COUNT", 500);
+        for (const [, fields] of rows) {
+          let rec;
+          try {
+            rec = JSON.parse(fields[1]);
+          } catch {
+            continue;
+          }
+          if (rec.ts >= from && rec.ts <= to) yield rec;
+        }
+        if (rows.length < 500) return;
+        start = `(${rows[rows.length - 1][0]}`;
+      }
+    },
+  };
+}
+
+function createFileAuditSink() {
+  const fileFor = (ms) => path.join(AUDIT_DIR, `audit-${new Date(ms).toISOString().slice(0, 10)}.jsonl`);
+  let ready = null;
+  const prune = async () => {
+    const cutoff = new Date(Date.now() - AUDIT_RETENTION_MS).toISOString().slice(0, 10);
+    try {
+      for (const f of await fs.promises.readdir(AUDIT_DIR)) {
+        const day = /^audit-(\d{4}-\d{2}-\d{2})\.jsonl$/.exec(f)?.[1];
+        if (day && day < cutoff) await fs.promises.unlink(path.join(AUDIT_DIR, f));
+      }
+    } catch (e) {
+      log("warn", "audit.prune.failed", { err: safeString(e?.message || e) });
+    }
+  };
+  setInterval(prune, 3600 * 1000).unref();
+  prune();
+  return {
+    async write(record) {
+      ready ??= fs.promises.mkdir(AUDIT_DIR, { recursive: true });
+      await ready;
+      await fs.promises.appendFile(fileFor(record.ts), JSON.stringify(record) + "\n");
+    },
+    async *read({ from, to }) {
+      for (let day = Date.parse(new Date(from).toISOString().slice(0, 10)); day <= to; day += 24 * 3600 * 1000) {
+        const file = fileFor(day);
+        if (!fs.existsSync(file)) continue;
+        const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+        for await (const line of lines) {
+          let rec;
+          try {
+            rec = JSON.parse(line);
+          } catch {
+            continue;
+          }
+          if (rec.ts >= from && rec.ts <= to) yield rec;
+        }
+      }
+    },
+  };
+}
+
+const AUDIT_SINKS = { redis: createRedisAuditSink, file: createFileAuditSink };
+const auditSink = AUDIT_SINKS[AUDIT_SINK]?.() ?? null;
+if (AUDIT_SINK !== "off" && !auditSink) log("error", "audit.unknownSink", { sink: AUDIT_SINK });
+
+// handlers add prompt / answer / citations / conversation id as they become known
+function auditNote(req, fields) {
+  if (req.audit) Object.assign(req.audit, fields);
+}
+
+async function writeAuditRecord(req, res) {
+  const a = req.audit;
+  const err = res.locals.error;
+  const meta = req.userKeyId ? await redis.hmget(`keymeta:${req.userKeyId}`, "label") : [];
+  const record = {
+    id: req.requestId,
+    ts: req.startedAt,
+    route: req.path,
+    stream: req.body?.stream === true,
+    model: typeof req.body?.model === "string" ? req.body.model : null,
+    // id of the model profile the request ran with (MODEL_DEFAULT when no model was sent)
+    mode: req.modelProfile?.id || null,
+    account: req.account ? { homeAccountId: req.account.homeAccountId, username: req.account.username || null } : null,
+    keyId: req.userKeyId || null,
+    keyLabel: meta[0] || null,
+    token: req.gatewayToken ? { id: req.gatewayToken.id, name: req.gatewayToken.name } : null,
+    pool: req.pool?.name || null,
+    conversationId: a.conversationId || null,
+    prompt: AUDIT_CONTENT ? redactAuditText(a.prompt) : null,
+    answer: AUDIT_CONTENT ? redactAuditText(a.answer) : null,
+    citations: (a.citations || []).map((c) => ({ url: c.url, title: c.title })),
+    status: !res.writableFinished ? "client_closed" : err ? "error" : "ok",
+    httpStatus: res.statusCode,
+    error: err ? err.code || err.type || err.name || "error" : null,
+    ms: Date.now() - req.startedAt,
+  };
+  await auditSink.write(record);
+}
+
+const AUDITED_ROUTES = new Set(["/v1/chat/completions", "/v1/responses", "/v1/messages"]);
+
+function auditMiddleware(req, res, next) {
+  if (req.method !== "POST" || !AUDITED_ROUTES.has(req.path)) return next();
+  req.audit = {};
+  res.once("close", () => {
+    writeAuditRecord(req, res).catch((e) =>
+      log("error", "audit.write.failed", { requestId: req.requestId, err: safeString(e?.message || e) })
+    );
+  });
+  next();
+}
+
+// matches a record against the admin query; `user` is a username (case-insensitive) or homeAccountId
+function auditMatches(rec, { user, keyId, tokenId }) {
+  if (user) {
+    const u = user.toLowerCase();
+    if (rec.account?.homeAccountId !== user && (rec.account?.username || "").toLowerCase() !== u) return false;
+  }
+  if (keyId && rec.keyId !== keyId) return false;
+  if (tokenId && rec.token?.id !== tokenId) return false;
+  return true;
+}
+
+const AUDIT_CSV_COLUMNS = [
+  ["id", (r) => r.id],
+  ["time", (r) => new Date(r.ts).toISOString()],
+  ["route", (r) => r.route],
+  ["model", (r) => r.model],
+  ["mode", (r) => r.mode],
+  ["username", (r) => r.account?.username],
+  ["home_account_id", (r) => r.account?.homeAccountId],
+  ["key_id", (r) => r.keyId],
+  ["key_label", (r) => r.keyLabel],
+  ["token", (r) => r.token?.name || r.token?.id],
+  ["pool", (r) => r.pool],
+  ["conversation_id", (r) => r.conversationId],
+  ["status", (r) => r.status],
+  ["http_status", (r) => r.httpStatus],
+  ["error", (r) => r.error],
+  ["ms", (r) => r.ms],
+  ["prompt", (r) => r.prompt],
+  ["answer", (r) => r.answer],
+  ["citations", (r) => (r.citations || []).map((c) => c.url).join(" ")],
+];
+
+// =======================
+// Express + RequestId
+// =======================
+const app = express();
+if (TRUST_PROXY) app.set("trust proxy", 1);
+
+// request id middleware
+app.use((req, res, next) => {
+  const incoming = req.headers["x-request-id"];
+  const requestId = (typeof incoming === "string" && incoming.length <= 200) ? incoming : crypto.randomUUID();
+  req.requestId = requestId;
+  // the client id is only for correlation; in-flight slots need an id the client cannot repeat
+  req.slotId = crypto.randomUUID();
+  res.setHeader("x-request-id", requestId);
+  next();
+});
+
+// after the request id, so body-parser rejections still carry one
+app.use(express.json({ limit: BODY_LIMIT }));
+
+// trace middleware: one server span per request, continuing a client's W3C traceparent
+if (TRACING) {
+  app.use((req, res, next) => {
+    const span = startSpan(`${req.method}`, {
+      kind: "server",
+      parent: parseTraceparent(req.headers.traceparent),
+      attributes: { "http.request.method": req.method, "url.path": req.path, "gateway.request_id": req.requestId },
+    });
+    res.once("close", () => {
+      const route = req.route ? req.baseUrl + req.route.path : null;
+      if (route) span.name = `${req.method} ${route}`;
+      span.setAttributes({ "http.route": route, "http.response.status_code": res.statusCode, "gateway.key_id": req.userKeyId });
+      if (res.statusCode >= 500) span.setError(`HTTP ${res.statusCode}`);
+      if (!res.writableFinished) span.addEvent("client_closed");
+      span.end();
+    });
+    traceContext.run(span, next);
+  });
+}
+
+// request metrics middleware
+app.use((req, res, next) => {
+  req.startedAt = Date.now();
+  res.on("finish", () => {
+    const route = req.route ? req.baseUrl + req.route.path : "unmatched";
+    const model = req.method === "POST" && AUDITED_ROUTES.has(req.path) ? modelLabel(req.body?.model) : "";
+    incCounter("gateway_http_requests_total", { route, method: req.method, status: String(res.statusCode), model });
+    observeHistogram("gateway_http_request_duration_seconds", { route, method: req.method }, (Date.now() - req.startedAt) / 1000);
+  });
+  next();
+});
+
+if (auditSink) app.use(auditMiddleware);
+
+// request logging middleware
+if (LOG_REQUESTS) {
+  app.use((req, res, next) => {
+    const start = Date.now();
+    const reqMeta = {
+      requestId: req.requestId,
+      method: req.method,
+      path: req.originalUrl,
+      ip: req.ip,
+      ua: req.headers["user-agent"],
+    };
+    if (LOG_BODY && req.body) {
+      reqMeta.body = safeString(req.body, 800);
+    }
+    log("info", "http.request", reqMeta);
+
+    res.on("finish", () => {
+      log("info", "http.response", {
+        requestId: req.requestId,
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        ms: Date.now() - start,
+      });
+    });
+    next();
+  });
+}
+
+app.use(
+  session({
+    store: new RedisSessionStore(redis, { prefix: "sess:", ttl: SESSION_TTL }),
+    secret: SESSION_SECRET,
+    resave: false,
+    saveUninitialized: false,
+    cookie: {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: PUBLIC_BASE_URL.startsWith("https://"),
+      maxAge: SESSION_TTL * 1000,
+    },
+  })
+);
+
+// =======================
+// Utility
+// =======================
+function nowUnix() { return Math.floor(Date.now() / 1000); }
+
+async function requireGatewayToken(req, res, scope = "chat") {
+  const token = await resolveGatewayToken(req);
+  if (!token) {
+    log("warn", "auth.invalidGatewayToken", { requestId: req.requestId, auth: "[REDACTED]" });
+    sendError(req, res, new AuthenticationError("Invalid gateway token"));
+    return false;
+  }
+  if (!token.scopes.includes(scope)) {
+    log("warn", "auth.missingScope", { requestId: req.requestId, tokenId: token.id, scope });
+    sendError(req, res, new PermissionDeniedError(`Gateway token lacks required scope: ${scope}`, { code: "insufficient_scope" }));
+    return false;
+  }
+  req.gatewayToken = token;
+  return true;
+}
+
+function requireAdminToken(req, res) {
+  return requireGatewayToken(req, res, "admin");
+}
+
+function contentToText(content) {
+  return typeof content === "string" ? content : JSON.stringify(content);
+}
+
+// one transcript line in the profile's role template, e.g. "{ROLE}: {content}" -> "USER: hi"
+function formatRole(role, content, profile) {
+  const vars = { ROLE: role.toUpperCase(), role, content };
+  return (profile?.roleTemplate || DEFAULT_ROLE_TEMPLATE).replace(/\{(ROLE|role|content)\}/g, (_, k) => vars[k]);
+}
+
+function profilePreamble(profile) {
+  const lang = profile?.language ? `Always respond in ${profile.language}.` : "";
+  return [profile?.preamble, lang].filter(Boolean).join(" ");
+}
+
+// `instructions` (structured output / tools) go last, right before the assistant turn
+function buildPrompt(messages, profile, instructions = "") {
+  const lines = [];
+  const preamble = profilePreamble(profile);
+  if (preamble) lines.push(formatRole("system", preamble, profile));
+  for (const m of messages || []) lines.push(formatRole(m.role || "user", contentToText(m.content), profile));
+  if (instructions) lines.push(formatRole("system", instructions, profile));
+  lines.push(formatRole("assistant", "", profile).trimEnd());
+  return lines.join("\n");
+}
+
+function extractTextFromMessage(msg) {
+  if (!msg || typeof msg !== "object") return null;
+  if (typeof msg.text === "string") return msg.text;
+  if (typeof msg.content === "string") return msg.content;
+  if (msg.message && typeof msg.message.text === "string") return msg.message.text;
+  return null;
+}
+
+// picks the assistant message out of a Copilot conversation/event payload
+function pickResponseMessage(obj, promptEcho) {
+  const msgs = obj?.messages;
+  if (Array.isArray(msgs) && msgs.length) {
+    for (let i = msgs.length - 1; i >= 0; i--) {
       const t = extractTextFromMessage(msgs[i]);
       if (!t) continue;
       if (promptEcho && t.trim() === promptEcho.trim()) continue;
-      return t;
+      return msgs[i];
+    }
+    for (let i = msgs.length - 1; i >= 0; i--) {
+      if (extractTextFromMessage(msgs[i])) return msgs[i];
+    }
+  }
+  const wrapped = obj?.value?.messages;
+  if (Array.isArray(wrapped) && wrapped.length) {
+    for (let i = wrapped.length - 1; i >= 0; i--) {
+      if (extractTextFromMessage(wrapped[i])) return wrapped[i];
+    }
+  }
+  return null;
+}
+
+function extractBestTextFromEvent(obj, promptEcho) {
+  return extractTextFromMessage(pickResponseMessage(obj, promptEcho));
+}
+
+// Copilot grounding sources (SharePoint files, mails, Teams messages, web) as { url, title, type, source }
+function extractCitations(msg) {
+  if (!msg || typeof msg !== "object") return [];
+  const raw = [msg.attributions, msg.citations, msg.references, msg.sourceAttributions].filter(Array.isArray).flat();
+  const seen = new Set();
+  const out = [];
+  for (const a of raw) {
+    const url = a?.seeMoreWebUrl || a?.webUrl || a?.url || a?.link;
+    if (typeof url !== "string" || !url || seen.has(url)) continue;
+    seen.add(url);
+    out.push({
+      url,
+      title: a.providerDisplayName || a.title || a.name || url,
+      type: a.attributionType || a.type || "citation",
+      source: a.attributionSource || null,
+    });
+  }
+  return out;
+}
+
+// locates the n-th citation marker ([^n^] or [n]) in the answer, else points at the end of the text
+function citationSpan(text, n) {
+  for (const m of [`[^${n}^]`, `[${n}]`]) {
+    const at = text.indexOf(m);
+    if (at >= 0) return { start_index: at, end_index: at + m.length };
+  }
+  return { start_index: text.length, end_index: text.length };
+}
+
+function buildCitationAnnotations(text, citations) {
+  return citations.map((c, i) => ({
+    type: "url_citation",
+    url_citation: { url: c.url, title: c.title, ...citationSpan(text, i + 1) },
+  }));
+}
+
+function formatCitationFootnotes(citations) {
+  if (!citations.length) return "";
+  const lines = citations.map((c, i) => `[${i + 1}] ${c.title === c.url ? c.url : `${c.title}: ${c.url}`}`);
+  return `\n\n${lines.join("\n")}`;
+}
+
+function wantsCitationFootnotes(body) {
+  return typeof body?.citation_footnotes === "boolean" ? body.citation_footnotes : CITATION_FOOTNOTES;
+}
+
+// =======================
+// Graph upstream wrapper
+// =======================
+const RETRYABLE_STATUS = new Set([429, 502, 503, 504]);
+
+// Retry-After is either delta-seconds or an HTTP date; returns ms or null
+function parseRetryAfter(v) {
+  if (!v) return null;
+  if (/^\d+$/.test(v.trim())) return parseInt(v, 10) * 1000;
+  const at = Date.parse(v);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(t);
+      reject(signal.reason);
+    };
+    const t = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Every Graph call resolves once response headers arrive, so a retry here never replays a
+// stream the client has already seen. Retries 429/502/503/504 and network errors with
+// full-jitter exponential backoff, honouring Retry-After up to GRAPH_RETRY_MAX_DELAY_MS.
+async function fetchGraph(requestId, url, options, { op = "graph", retry = true } = {}) {
+  const attributes = { "copilot.operation": op, "http.request.method": options?.method || "GET", "url.full": url };
+  return await withSpan(`copilot.${op}`, { kind: "client", attributes }, async (span) => {
+    const safeOpts = {
+      method: options?.method,
+      headers: redactHeaders(options?.headers || {}),
+    };
+    const maxRetries = retry ? Math.max(0, GRAPH_RETRY_MAX) : 0;
+    // "throttled": the request may already have been processed, so only explicit 429/503 + Retry-After
+    // rejections are replayed, never network errors or gateway failures
+    const throttledOnly = retry === "throttled";
+
+    for (let attempt = 0; ; attempt++) {
+      const t0 = Date.now();
+      log("debug", "graph.request", { requestId, op, url, attempt, options: safeOpts });
+
+      let res;
+      try {
+        res = await fetch(url, options);
+      } catch (e) {
+        if (!options?.signal?.aborted) incCounter("graph_requests_total", { op, status: "error" });
+        if (options?.signal?.aborted || attempt >= maxRetries || throttledOnly) throw e;
+        const delay = Math.floor(Math.random() * Math.min(GRAPH_RETRY_MAX_DELAY_MS, GRAPH_RETRY_BASE_MS * 2 ** attempt));
+        log("warn", "graph.retry", { requestId, op, url, attempt, delay, reason: safeString(e?.cause?.code || e?.message || e) });
+        span.addEvent("retry", { attempt, delay, reason: safeString(e?.cause?.code || e?.message || e) });
+        await sleep(delay, options?.signal);
+        continue;
+      }
+
+      const ms = Date.now() - t0;
+      const graphReqId = res.headers.get("request-id") || res.headers.get("client-request-id");
+      log("info", "graph.response", { requestId, op, url, status: res.status, ms, graphReqId, attempt });
+      span.setAttributes({ "http.response.status_code": res.status, "graph.request_id": graphReqId, "graph.attempt": attempt });
+      if (res.status >= 400) span.setError(`HTTP ${res.status}`);
+      incCounter("graph_requests_total", { op, status: String(res.status) });
+      observeHistogram("graph_request_duration_seconds", { op }, ms / 1000);
+      if (!RETRYABLE_STATUS.has(res.status) || attempt >= maxRetries) return res;
+
+      const retryAfter = parseRetryAfter(res.headers.get("retry-after"));
+      if (throttledOnly && !((res.status === 429 || res.status === 503) && retryAfter != null)) return res;
+      if (retryAfter != null && retryAfter > GRAPH_RETRY_MAX_DELAY_MS) {
+        log("warn", "graph.retry.giveUp", { requestId, op, status: res.status, graphReqId, retryAfter });
+        return res;
+      }
+      const delay = retryAfter ?? Math.floor(Math.random() * Math.min(GRAPH_RETRY_MAX_DELAY_MS, GRAPH_RETRY_BASE_MS * 2 ** attempt));
+      log("warn", "graph.retry", { requestId, op, url, attempt, status: res.status, graphReqId, delay, retryAfter });
+      span.addEvent("retry", { attempt, "http.response.status_code": res.status, "graph.request_id": graphReqId, delay });
+      await res.body?.cancel().catch(() => {});
+      await sleep(delay, options?.signal);
+    }
+  });
+}
+
+function graphError(op, res, body) {
+  return classifyGraphError(op, res.status, body, {
+    graphReqId: res.headers.get("request-id") || res.headers.get("client-request-id"),
+    retryAfter: res.headers.get("retry-after"),
+  });
+}
+
+async function createCopilotConversation(accessToken, requestId) {
+  const res = await fetchGraph(
+    requestId,
+    "https://graph.microsoft.com/beta/copilot/conversations",
+    {
+      method: "POST",
+      headers: { Authorization: `Bearer ${accessToken}`, "Content-Type": "application/json" },
+      body: JSON.stringify({}),
+    },
+    { op: "createConversation" }
+  );
+  if (!res.ok) {
+    const txt = await res.text();
+    log("error", "graph.createConversation.failed", { requestId, status: res.status, body: safeString(txt, 1200) });
+    throw graphError("createConversation", res, txt);
+  }
+  return await res.json();
+}
+
+function buildChatBody(prompt, extras = {}) {
+  return {
+    message: { text: prompt },
+    locationHint: { timeZone: TIME_ZONE, countryOrRegion: COUNTRY_OR_REGION },
+    ...extras,
+  };
+}
+
+async function copilotChat(accessToken, conversationId, prompt, requestId, { extras, signal } = {}) {
+  const res = await fetchGraph(
+    requestId,
+    `https://graph.microsoft.com/beta/copilot/conversations/${conversationId}/chat`,
+    {
+      method: "POST",
+      headers: { Authorization: `Bearer ${accessToken}`, "Content-Type": "application/json" },
+      body: JSON.stringify(buildChatBody(prompt, extras)),
+      signal,
+    },
+    { op: "chat", retry: "throttled" }
+  );
+  if (!res.ok) {
+    const txt = await res.text();
+    log("error", "graph.chat.failed", { requestId, conversationId, status: res.status, body: safeString(txt, 1800) });
+    throw graphError("chat", res, txt);
+  }
+  return await res.json();
+}
+
+async function copilotChatOverStream(accessToken, conversationId, prompt, requestId, { extras, signal } = {}) {
+  const res = await fetchGraph(
+    requestId,
+    `https://graph.microsoft.com/beta/copilot/conversations/${conversationId}/chatOverStream`,
+    {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        "Content-Type": "application/json",
+        Accept: "text/event-stream",
+      },
+      body: JSON.stringify(buildChatBody(prompt, extras)),
+      signal,
+    },
+    { op: "chatOverStream", retry: "throttled" }
+  );
+  if (!res.ok) {
+    const txt = await res.text();
+    log("error", "graph.chatOverStream.failed", { requestId, conversationId, status: res.status, body: safeString(txt, 1800) });
+    throw graphError("chatOverStream", res, txt);
+  }
+  return res;
+}
+
+// =======================
+// Upstream cancellation & timeouts
+// =======================
+// One AbortSignal per Copilot call that fires on client disconnect, on the overall timeout,
+// or when the upstream has been silent for idleMs (touch() marks upstream activity).
+// signal.reason is the UpstreamTimeoutError / ClientClosedError that caused the abort.
+function createUpstreamGuard(res, { overallMs = COPILOT_TIMEOUT_MS, idleMs = COPILOT_IDLE_TIMEOUT_MS } = {}) {
+  const ac = new AbortController();
+  let idleTimer = null;
+  const abort = (reason) => {
+    if (!ac.signal.aborted) ac.abort(reason);
+  };
+  const overallTimer = overallMs > 0 ? setTimeout(() => abort(new UpstreamTimeoutError("overall", overallMs)), overallMs) : null;
+
+  const guard = {
+    signal: ac.signal,
+    touch() {
+      if (!(idleMs > 0) || ac.signal.aborted) return;
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => abort(new UpstreamTimeoutError("idle", idleMs)), idleMs);
+    },
+    // runs an upstream call, reporting the abort reason instead of fetch's generic AbortError
+    async run(fn) {
+      try {
+        const result = await fn();
+        guard.touch();
+        return result;
+      } catch (e) {
+        throw ac.signal.aborted ? ac.signal.reason : e;
+      }
+    },
+  };
+
+  res.once("close", () => {
+    if (!res.writableFinished) abort(new ClientClosedError());
+    clearTimeout(overallTimer);
+    clearTimeout(idleTimer);
+  });
+  guard.touch();
+  return guard;
+}
+
+const EMPTY_HINT_TEXT =
+  "\n（提示：上游未返回可解析的文本内容。请检查 Copilot 许可/权限，或访问 /debug/last-events 查看原始事件片段。）\n";
+
+// Reads a chatOverStream SSE body; each event carries the full text so far, onDelta gets the new suffix.
+// With a guard, an abort stops reading and cancels the upstream body; the result then carries `aborted`.
+// Error objects inside the stream are classified into `streamError`.
+async function readCopilotStream(upstream, { requestId, conversationId, prompt, onDelta, guard, route, startedAt }) {
+  const t0 = Date.now();
+  const reader = upstream.body.getReader();
+  const signal = guard?.signal;
+  const onAbort = () => reader.cancel(signal.reason).catch(() => {});
+  signal?.addEventListener("abort", onAbort, { once: true });
+  const dec = new TextDecoder();
+  const parser = new SseParser();
+  let fullText = "";
+  let citations = [];
+  let streamError = null;
+  let blocks = 0;
+  let jsonFail = 0;
+  const span = startSpan("copilot.stream", { attributes: { "copilot.conversation_id": conversationId } });
+
+  log("info", "stream.start", { requestId, conversationId });
+
+  const handle = async (ev) => {
+    if (signal?.aborted) return;
+    blocks++;
+    const payload = ev.data.trim();
+    if (!payload) return;
+
+    let obj;
+    try {
+      obj = JSON.parse(payload);
+    } catch {
+      jsonFail++;
+      incCounter("copilot_stream_json_parse_failures_total");
+      return;
+    }
+
+    await pushDebugEvent({ ts: Date.now(), requestId, conversationId, event: ev.event, sample: payload.slice(0, 400) });
+
+    if (obj?.error || ev.event === "error") {
+      log("error", "graph.stream.errorObject", { requestId, conversationId, event: ev.event, error: obj?.error ?? safeString(obj) });
+      streamError ??= classifyGraphError("chatOverStream", obj?.error?.status || 500, obj?.error ? obj : { error: obj });
+    }
+
+    const msg = pickResponseMessage(obj, prompt);
+    const found = extractCitations(msg);
+    if (found.length) citations = found;
+
+    const text = extractTextFromMessage(msg);
+    if (typeof text === "string" && text.length > fullText.length) {
+      const delta = text.slice(fullText.length);
+      if (!fullText) {
+        const ttft = Date.now() - (startedAt ?? t0);
+        if (route) observeHistogram("copilot_stream_ttft_seconds", { route }, ttft / 1000);
+        span.addEvent("first_delta");
+        span.setAttributes({ "copilot.ttft_ms": ttft });
+      }
+      fullText = text;
+      if (delta && !signal?.aborted) onDelta(delta);
+    }
+  };
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done || signal?.aborted) break;
+      guard?.touch();
+      for (const ev of parser.push(dec.decode(value, { stream: true }))) await handle(ev);
+    }
+    for (const ev of parser.push(dec.decode())) await handle(ev);
+    for (const ev of parser.end()) await handle(ev);
+  } catch (e) {
+    if (!signal?.aborted) log("error", "stream.exception", { requestId, conversationId, err: safeString(e?.message || e) });
+  }
+  signal?.removeEventListener("abort", onAbort);
+
+  const aborted = signal?.aborted ? signal.reason : null;
+  if (aborted) {
+    log("warn", "stream.aborted", {
+      requestId,
+      conversationId,
+      reason: aborted.code || aborted.name,
+      blocks,
+      jsonFail,
+      chars: fullText.length,
+      ms: Date.now() - t0,
+    });
+  } else {
+    log("info", "stream.end", { requestId, conversationId, blocks, jsonFail, chars: fullText.length, citations: citations.length });
+    if (!fullText && route) incCounter("copilot_empty_responses_total", { route, stream: "true" });
+  }
+  span.setAttributes({ "copilot.blocks": blocks, "copilot.json_fail": jsonFail, "copilot.chars": fullText.length, "copilot.aborted": !!aborted });
+  if (aborted || streamError) span.recordError(aborted || streamError);
+  span.end();
+  return { fullText, citations, blocks, jsonFail, aborted, streamError };
+}
+
+// =======================
+// Copilot contextual resources
+// =======================
+// Per-request grounding controls, from the `copilot` body extension or from special content parts:
+//   { "copilot": { "files": ["https://…"], "additional_context": ["…"], "web_search": false } }
+//   { "type": "copilot_file", "url": "https://…" } / { "type": "copilot_context", "text": "…", "description": "…" }
+const MAX_CONTEXT_FILES = 20;
+const MAX_ADDITIONAL_CONTEXT = 10;
+const MAX_ADDITIONAL_CONTEXT_CHARS = 20000;
+
+// the only URLs Graph accepts in contextualResources.files
+function isSharePointUrl(v) {
+  try {
+    const u = new URL(v);
+    return u.protocol === "https:" && /(^|\.)sharepoint(-df)?\.com$/i.test(u.hostname);
+  } catch {
+    return false;
+  }
+}
+
+function isHttpsUrl(v) {
+  try {
+    return new URL(v).protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+// pulls copilot_* and file/image parts out of message content; uploads leave an [attachment: name]
+// marker in the text. Plain text parts collapse back into a string.
+function stripCopilotParts(messages, files, context, attachments = []) {
+  return messages.map((m) => {
+    if (!Array.isArray(m?.content)) return m;
+    const rest = [];
+    for (const part of m.content) {
+      const att = part?.type === "copilot_file" || part?.type === "copilot_context" ? null : attachmentFromPart(part);
+      if (part?.type === "copilot_file") files.push(part.url ?? part.uri);
+      else if (part?.type === "copilot_context") context.push({ text: part.text, description: part.description });
+      else if (att?.url) files.push(att.url);
+      else if (att) {
+        attachments.push(att);
+        rest.push({ type: "text", text: `[attachment: ${att.name || "file"}]` });
+      } else rest.push(part);
+    }
+    const textOnly = rest.every((p) => p?.type === "text" && typeof p.text === "string");
+    if (!textOnly && rest.length === m.content.length && rest.every((p, i) => p === m.content[i])) return m;
+    return { ...m, content: textOnly ? rest.map((p) => p.text).join("\n") : rest };
+  });
+}
+
+// returns { extras, messages, attachments } with Graph chat request fields, or { error, param }
+function parseCopilotExtras(ext, messages) {
+  if (ext != null && (typeof ext !== "object" || Array.isArray(ext))) {
+    return { error: "copilot must be an object", param: "copilot" };
+  }
+  const files = [...(Array.isArray(ext?.files) ? ext.files : ext?.files != null ? [ext.files] : [])];
+  const rawContext = Array.isArray(ext?.additional_context)
+    ? ext.additional_context
+    : ext?.additional_context != null
+      ? [ext.additional_context]
+      : [];
+  const context = rawContext.map((c) => (typeof c === "string" ? { text: c } : c));
+  const attachments = [];
+  const stripped = stripCopilotParts(messages, files, context, attachments);
+
+  const badAttachment = attachments.find((a) => a.error);
+  if (badAttachment) return { error: badAttachment.error, param: "messages" };
+  if (attachments.length && !ATTACHMENTS_ENABLED) {
+    return { error: "file attachments are not enabled on this gateway; pass SharePoint/OneDrive URLs in copilot.files", param: "messages" };
+  }
+  const uris = files.map((f) => (typeof f === "string" ? f : f?.uri ?? f?.url));
+  if (uris.length + attachments.length > MAX_CONTEXT_FILES) {
+    return { error: `at most ${MAX_CONTEXT_FILES} files are allowed`, param: uris.length > MAX_CONTEXT_FILES ? "copilot.files" : "messages" };
+  }
+  const badUri = uris.find((u) => typeof u !== "string" || !isHttpsUrl(u));
+  if (badUri !== undefined) return { error: `files must be https URLs: ${safeString(badUri, 200)}`, param: "copilot.files" };
+
+  if (context.length > MAX_ADDITIONAL_CONTEXT) {
+    return { error: `at most ${MAX_ADDITIONAL_CONTEXT} additional_context entries are allowed`, param: "copilot.additional_context" };
+  }
+  let contextChars = 0;
+  for (const c of context) {
+    if (typeof c?.text !== "string" || !c.text.trim()) {
+      return { error: "additional_context entries must have non-empty text", param: "copilot.additional_context" };
+    }
+    if (c.description != null && typeof c.description !== "string") {
+      return { error: "additional_context description must be a string", param: "copilot.additional_context" };
+    }
+    contextChars += c.text.length;
+  }
+  if (contextChars > MAX_ADDITIONAL_CONTEXT_CHARS) {
+    return { error: `additional_context exceeds ${MAX_ADDITIONAL_CONTEXT_CHARS} characters`, param: "copilot.additional_context" };
+  }
+
+  const webSearch = ext?.web_search;
+  if (webSearch != null && typeof webSearch !== "boolean") return { error: "web_search must be a boolean", param: "copilot.web_search" };
+
+  const extras = {};
+  if (context.length) {
+    extras.additionalContext = context.map((c) => (c.description ? { text: c.text, description: c.description } : { text: c.text }));
+  }
+  const contextualResources = {};
+  if (uris.length) contextualResources.files = [...new Set(uris)].map((uri) => ({ uri }));
+  if (typeof webSearch === "boolean") contextualResources.webContext = { isWebEnabled: webSearch };
+  if (Object.keys(contextualResources).length) extras.contextualResources = contextualResources;
+  return { extras, messages: stripped, attachments };
+}
+
+// =======================
+// Attachments (OneDrive upload)
+// =======================
+// File and image content parts carrying data (OpenAI image_url / file, Responses input_image / input_file,
+// Anthropic image / document with a base64 source) are uploaded with the user's delegated token to
+// ATTACHMENT_FOLDER in their OneDrive and passed to Copilot as contextualResources.files. Parts that
+// only carry an https URL are passed through like copilot_file.
+// attach:<homeAccountId>:<sha> -> { id, webUrl }  (same content is uploaded once per account)
+// attachments:expiry           -> zset "<homeAccountId>|<itemId>" scored by deletion time (ATTACHMENT_CLEANUP=ttl)
+const ATTACHMENT_PART_TYPES = new Set(["image_url", "input_image", "file", "input_file", "image", "document"]);
+const ATTACHMENT_TYPES = {
+  pdf: "application/pdf",
+  doc: "application/msword",
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  xls: "application/vnd.ms-excel",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ppt: "application/vnd.ms-powerpoint",
+  pptx: "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  txt: "text/plain",
+  md: "text/markdown",
+  csv: "text/csv",
+  html: "text/html",
+  json: "application/json",
+  rtf: "application/rtf",
+  png: "image/png",
+  jpg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+};
+const DRIVE_SIMPLE_UPLOAD_MAX = 4 * 1024 * 1024;
+const DRIVE_CHUNK_BYTES = 320 * 1024 * 16;
+const ATTACHMENT_SWEEP_MS = 10 * 60 * 1000;
+
+function extForMime(mime) {
+  if (mime === "image/jpeg") return "jpg";
+  return Object.keys(ATTACHMENT_TYPES).find((ext) => ATTACHMENT_TYPES[ext] === mime) || null;
+}
+
+function sanitizeFileName(name) {
+  const clean = String(name || "")
+    .replace(/[\\/:*?"<>|#%\x00-\x1f]/g, "_")
+    .replace(/^[.\s]+|[.\s]+$/g, "");
+  return clean.slice(-120);
+}
+
+// { name, mimeType, bytes } for inline data, { url } for SharePoint/OneDrive references, { error } otherwise
+function buildAttachment({ data, url, fileId, mimeType, name }) {
+  if (fileId) return { error: "file_id references are not supported here; send the file inline as base64 data" };
+  if (url != null && data == null) {
+    const m = /^data:([^;,]*)(?:;[^,]*)?;base64,(.*)$/s.exec(url);
+    if (!m) {
+      if (isSharePointUrl(url)) return { url };
+      return {
+        error: isHttpsUrl(url)
+          ? `attachment URLs must point to SharePoint/OneDrive or be base64 data URLs; other web URLs cannot be passed to Copilot: ${safeString(url, 200)}`
+          : "attachment URLs must be SharePoint/OneDrive https URLs or base64 data URLs",
+      };
+    }
+    mimeType = mimeType || m[1];
+    data = m[2];
+  }
+  if (typeof data !== "string" || !data) return { error: "attachment has no data" };
+  const dataUrl = /^data:([^;,]*)(?:;[^,]*)?;base64,(.*)$/s.exec(data);
+  if (dataUrl) [mimeType, data] = [mimeType || dataUrl[1], dataUrl[2]];
+  if (data.length > Math.ceil(ATTACHMENT_MAX_BYTES / 3) * 4 + 4) return { error: `attachment exceeds ${ATTACHMENT_MAX_BYTES} bytes` };
+
+  let file = sanitizeFileName(name);
+  let ext = /\.([A-Za-z0-9]+)$/.exec(file)?.[1]?.toLowerCase();
+  if (ext === "jpeg") ext = "jpg";
+  const type = (mimeType || "").toLowerCase() || ATTACHMENT_TYPES[ext];
+  if (!ext || !ATTACHMENT_TYPES[ext]) ext = extForMime(type);
+  if (!ext) return { error: `unsupported attachment type${type ? ` '${safeString(type, 80)}'` : ""}; allowed: ${Object.keys(ATTACHMENT_TYPES).join(", ")}` };
+  if (!file.toLowerCase().endsWith(`.${ext}`) && !(ext === "jpg" && /\.jpeg$/i.test(file))) file = `${file || "attachment"}.${ext}`;
+
+  const bytes = Buffer.from(data, "base64");
+  if (!bytes.length) return { error: `attachment '${file}' is empty or not valid base64` };
+  if (bytes.length > ATTACHMENT_MAX_BYTES) return { error: `attachment '${file}' exceeds ${ATTACHMENT_MAX_BYTES} bytes` };
+  return { name: file, mimeType: ATTACHMENT_TYPES[ext], bytes };
+}
+
+// null for parts that are not attachments
+function attachmentFromPart(part) {
+  switch (part?.type) {
+    case "image_url":
+      return buildAttachment({ url: typeof part.image_url === "string" ? part.image_url : part.image_url?.url, name: "image" });
+    case "input_image":
+      return buildAttachment({ url: part.image_url, fileId: part.file_id, name: "image" });
+    case "file":
+      return buildAttachment({ data: part.file?.file_data, fileId: part.file?.file_id, name: part.file?.filename });
+    case "input_file":
+      return buildAttachment({ data: part.file_data, url: part.file_url, fileId: part.file_id, name: part.filename });
+    case "image":
+    case "document": {
+      const src = part.source || {};
+      if (src.type === "url") return buildAttachment({ url: src.url, name: part.title });
+      if (src.type === "text") return null;
+      return buildAttachment({ data: src.data, fileId: src.file_id, mimeType: src.media_type, name: part.title || part.type });
+    }
+    default:
+      return null;
+  }
+}
+
+// keeps attachment and copilot_* parts next to the text so parseCopilotExtras can pull them out; toText renders the rest
+function keepAttachmentParts(content, toText) {
+  const keep = (p) => ATTACHMENT_PART_TYPES.has(p?.type) || p?.type === "copilot_file" || p?.type === "copilot_context";
+  if (!Array.isArray(content) || !content.some(keep)) return toText(content);
+  return content.map((p) => (keep(p) ? p : { type: "text", text: toText([p]) }));
+}
+
+function drivePath(name) {
+  return [...ATTACHMENT_FOLDER.split("/"), name]
+    .filter(Boolean)
+    .map(encodeURIComponent)
+    .join("/");
+}
+
+// simple upload up to 4 MB, upload session in 5 MB chunks above; returns the driveItem
+async function uploadDriveFile(accessToken, requestId, name, { bytes, mimeType }, signal) {
+  const base = `https://graph.microsoft.com/v1.0/me/drive/root:/${drivePath(name)}:`;
+  const auth = { Authorization: `Bearer ${accessToken}` };
+  let res;
+  if (bytes.length <= DRIVE_SIMPLE_UPLOAD_MAX) {
+    res = await fetchGraph(
+      requestId,
+      `${base}/content?@microsoft.graph.conflictBehavior=replace`,
+      { method: "PUT", headers: { ...auth, "Content-Type": mimeType }, body: bytes, signal },
+      { op: "uploadAttachment" }
+    );
+  } else {
+    const session = await fetchGraph(
+      requestId,
+      `${base}/createUploadSession`,
+      {
+        method: "POST",
+        headers: { ...auth, "Content-Type": "application/json" },
+        body: JSON.stringify({ item: { "@microsoft.graph.conflictBehavior": "replace" } }),
+        signal,
+      },
+      { op: "uploadAttachment" }
+    );
+    if (!session.ok) throw graphError("uploadAttachment", session, await session.text());
+    const { uploadUrl } = await session.json();
+    for (let off = 0; off < bytes.length; off += DRIVE_CHUNK_BYTES) {
+      const chunk = bytes.subarray(off, off + DRIVE_CHUNK_BYTES);
+      res = await fetchGraph(
+        requestId,
+        uploadUrl,
+        {
+          method: "PUT",
+          headers: { "Content-Range": `bytes ${off}-${off + chunk.length - 1}/${bytes.length}` },
+          body: chunk,
+          signal,
+        },
+        { op: "uploadAttachment" }
+      );
+      if (!res.ok) break;
+      if (res.status === 202) await res.body?.cancel().catch(() => {});
+    }
+  }
+  if (!res.ok) {
+    const txt = await res.text();
+    log("error", "graph.uploadAttachment.failed", { requestId, name, status: res.status, body: safeString(txt, 1200) });
+    throw graphError("uploadAttachment", res, txt);
+  }
+  return await res.json();
+}
+
+async function deleteDriveItem(accessToken, requestId, itemId) {
+  const res = await fetchGraph(
+    requestId,
+    `https://graph.microsoft.com/v1.0/me/drive/items/${encodeURIComponent(itemId)}`,
+    { method: "DELETE", headers: { Authorization: `Bearer ${accessToken}` } },
+    { op: "deleteAttachment" }
+  );
+  if (!res.ok && res.status !== 404) throw graphError("deleteAttachment", res, await res.text());
+}
+
+// uploads (or reuses) the request's attachments; returns their OneDrive URLs for contextualResources
+async function uploadAttachments(req, account, attachments, signal) {
+  const requestId = req.requestId;
+  const home = account.homeAccountId;
+  const accessToken = await acquireAccessToken({ account, requestId, scopes: FILE_SCOPES });
+  const uris = [];
+  for (const att of attachments) {
+    const sha = crypto.createHash("sha256").update(att.bytes).digest("hex");
+    const cacheKey = `attach:${home}:${sha}`;
+    const cached = ATTACHMENT_CLEANUP === "request" ? null : await redisGetJson(cacheKey);
+    if (cached?.webUrl) {
+      uris.push(cached.webUrl);
+      continue;
+    }
+    const item = await uploadDriveFile(accessToken, requestId, `${sha.slice(0, 12)}-${att.name}`, att, signal);
+    log("info", "attachments.uploaded", { requestId, name: att.name, bytes: att.bytes.length, itemId: item.id });
+    uris.push(item.webUrl);
+    if (ATTACHMENT_CLEANUP === "request") {
+      req.res.once("close", () => {
+        deleteDriveItem(accessToken, requestId, item.id).catch((e) =>
+          log("warn", "attachments.delete.failed", { requestId, itemId: item.id, err: safeString(e?.message || e) })
+        );
+      });
+      continue;
+    }
+    await redisSetJson(cacheKey, { id: item.id, webUrl: item.webUrl }, ATTACHMENT_TTL);
+    if (ATTACHMENT_CLEANUP === "ttl") await redis.zadd("attachments:expiry", Date.now() + ATTACHMENT_TTL * 1000, `${home}|${item.id}`);
+  }
+  return uris;
+}
+
+function withContextFiles(extras, uris) {
+  if (!uris.length) return extras;
+  const prev = extras.contextualResources?.files || [];
+  const files = [...prev, ...uris.filter((u) => !prev.some((f) => f.uri === u)).map((uri) => ({ uri }))];
+  return { ...extras, contextualResources: { ...extras.contextualResources, files } };
+}
+
+// deletes expired uploads with the owner's token; entries of accounts that need reauthentication
+// or never granted Files.ReadWrite are dropped
+async function sweepAttachments() {
+  if (!(await redis.set("sched:attachments", String(process.pid), "PX", ATTACHMENT_SWEEP_MS - 5000, "NX"))) return;
+  const due = await redis.zrangebyscore("attachments:expiry", "-inf", Date.now(), "LIMIT", 0, 200);
+  let deleted = 0;
+  for (const member of due) {
+    const [home, itemId] = member.split("|");
+    try {
+      const account = await redisGetJson(`account:${home}`);
+      if (account) await deleteDriveItem(await acquireAccessToken({ account, requestId: null, scopes: FILE_SCOPES }), null, itemId);
+      await redis.zrem("attachments:expiry", member);
+      deleted++;
+    } catch (e) {
+      if (e instanceof ReauthRequiredError || e?.code === "consent_required") await redis.zrem("attachments:expiry", member);
+      log("warn", "attachments.sweep.failed", { homeAccountId: home, itemId, code: e?.code, err: safeString(e?.message || e) });
+    }
+  }
+  if (due.length) log("info", "attachments.sweep", { due: due.length, deleted });
+}
+
+if (ATTACHMENTS_ENABLED && ATTACHMENT_CLEANUP === "ttl") {
+  setInterval(() => {
+    sweepAttachments().catch((e) => log("error", "attachments.sweep.failed", { err: safeString(e?.message || e) }));
+  }, ATTACHMENT_SWEEP_MS).unref();
+}
+
+// =======================
+// Conversation reuse
+// =======================
+// conv:<homeAccountId>:id:<sha> -> { conversationId, turns }  (explicit conversation_id)
+// conv:<homeAccountId>:h:<sha>  -> { conversationId, turns }  (hash of history ending with the last assistant reply)
+// Hash entries are consumed on lookup, so regenerating a reply starts a fresh Copilot conversation.
+function historyHash(messages) {
+  const norm = messages.map((m) => [String(m?.role || "user"), contentToText(m?.content ?? "").trim()]);
+  return sha256Hex(JSON.stringify(norm));
+}
+
+// messages after the last assistant reply are the ones Copilot has not seen yet
+function splitNewMessages(messages) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i]?.role === "assistant") return { history: messages.slice(0, i + 1), fresh: messages.slice(i + 1) };
+  }
+  return { history: [], fresh: messages };
+}
+
+function buildFollowUpPrompt(fresh, profile, instructions = "") {
+  const msgs = fresh.filter((m) => m?.role !== "system");
+  if (!msgs.length) return "";
+  const text =
+    msgs.length === 1 && (msgs[0].role || "user") === "user"
+      ? contentToText(msgs[0].content)
+      : msgs.map((m) => formatRole(m.role || "user", contentToText(m.content), profile)).join("\n");
+  return instructions ? `${text}\n\n${instructions}` : text;
+}
+
+async function newConversation({ accessToken, requestId, messages, profile, instructions, explicitKey = null, enabled = false }) {
+  const conversation = await createCopilotConversation(accessToken, requestId);
+  return {
+    conversationId: conversation.id,
+    prompt: buildPrompt(messages, profile, instructions),
+    reused: false,
+    turns: 0,
+    explicitKey,
+    enabled,
+  };
+}
+
+async function openConversation({ account, body, messages, profile, instructions, accessToken, requestId }) {
+  const enabled = CONVERSATION_REUSE && body?.reuse_conversation !== false;
+  // only conversation_id names a conversation; `user` identifies the end user across all their chats
+  const explicit = typeof body?.conversation_id === "string" && body.conversation_id.trim() ? body.conversation_id : null;
+  const base = `conv:${account.homeAccountId}:`;
+  const explicitKey = enabled && explicit ? `${base}id:${sha256Hex(explicit.trim())}` : null;
+  const fresh = { accessToken, requestId, messages, profile, instructions, explicitKey, enabled };
+  if (!enabled) return await newConversation(fresh);
+
+  const split = splitNewMessages(messages);
+  let state = null;
+  if (explicitKey) {
+    state = await redisGetJson(explicitKey);
+  } else if (split.history.length) {
+    const key = `${base}h:${historyHash(split.history)}`;
+    state = await redisGetJson(key);
+    if (state) await redis.del(key);
+  }
+
+  const prompt = state?.conversationId ? buildFollowUpPrompt(split.fresh, profile, instructions) : "";
+  if (!prompt) return await newConversation(fresh);
+
+  log("info", "conversation.reuse", { requestId, conversationId: state.conversationId, turns: state.turns, explicit: !!explicitKey });
+  return { ...fresh, conversationId: state.conversationId, prompt, reused: true, turns: state.turns || 0 };
+}
+
+// a reused conversation may have expired on the Graph side; retry once in a fresh one
+async function withConversation(conv, ctx, call) {
+  try {
+    return { conv, result: await call(conv) };
+  } catch (e) {
+    if (!conv.reused || (e?.upstreamStatus !== 404 && e?.upstreamStatus !== 410)) throw e;
+    log("warn", "conversation.reuse.stale", { requestId: ctx.requestId, conversationId: conv.conversationId, status: e.upstreamStatus });
+    const next = await newConversation({ ...ctx, explicitKey: conv.explicitKey, enabled: conv.enabled });
+    return { conv: next, result: await call(next) };
+  }
+}
+
+async function saveConversation(conv, account, messages, answer) {
+  if (!conv.enabled || !answer) return;
+  const state = { conversationId: conv.conversationId, turns: conv.turns + 1, updatedAt: Date.now() };
+  const key = conv.explicitKey || `conv:${account.homeAccountId}:h:${historyHash([...messages, { role: "assistant", content: answer }])}`;
+  try {
+    await redisSetJson(key, state, CONVERSATION_TTL);
+  } catch (e) {
+    log("warn", "conversation.save.failed", { conversationId: conv.conversationId, err: safeString(e?.message || e) });
+  }
+}
+
+// =======================
+// Structured output (response_format / tools emulation)
+// =======================
+// Copilot only answers in prose, so JSON mode, json_schema and tool calling are emulated: the prompt
+// carries format instructions, the JSON is cut out of the answer and validated, and an invalid answer is
+// sent back to Copilot in the same conversation with the errors, up to STRUCTURED_OUTPUT_RETRIES times.
+// Assistant tool_calls and role "tool" messages are rendered as transcript text.
+const TOOL_NAME_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+// returns { spec } (null when the request needs no emulation) or { error, param }
+function parseStructuredOutput(body) {
+  const rf = body?.response_format;
+  let format = null;
+  if (rf != null) {
+    if (!isPlainObject(rf)) return { error: "response_format must be an object", param: "response_format" };
+    if (rf.type === "json_object") {
+      format = { type: "json_object" };
+    } else if (rf.type === "json_schema") {
+      const js = rf.json_schema;
+      if (!isPlainObject(js) || typeof js.name !== "string" || !TOOL_NAME_RE.test(js.name)) {
+        return { error: "json_schema.name must match ^[A-Za-z0-9_-]{1,64}$", param: "response_format.json_schema.name" };
+      }
+      if (js.schema != null && !isPlainObject(js.schema)) {
+        return { error: "json_schema.schema must be an object", param: "response_format.json_schema.schema" };
+      }
+      format = { type: "json_schema", name: js.name, description: js.description, schema: js.schema || {} };
+    } else if (rf.type !== "text") {
+      return { error: "response_format.type must be one of text, json_object, json_schema", param: "response_format.type" };
+    }
+  }
+
+  const tools = [];
+  if (body?.tools != null) {
+    if (!Array.isArray(body.tools)) return { error: "tools must be an array", param: "tools" };
+    for (const [i, t] of body.tools.entries()) {
+      const fn = t?.function;
+      if (t?.type !== "function" || !isPlainObject(fn) || typeof fn.name !== "string" || !TOOL_NAME_RE.test(fn.name)) {
+        return { error: "tools must be functions with a name matching ^[A-Za-z0-9_-]{1,64}$", param: `tools[${i}]` };
+      }
+      if (fn.parameters != null && !isPlainObject(fn.parameters)) {
+        return { error: "function parameters must be a JSON Schema object", param: `tools[${i}].function.parameters` };
+      }
+      if (tools.some((x) => x.name === fn.name)) return { error: `duplicate tool name '${fn.name}'`, param: `tools[${i}]` };
+      tools.push({ name: fn.name, description: fn.description, parameters: fn.parameters || { type: "object", properties: {} } });
+    }
+  }
+
+  const tc = body?.tool_choice;
+  let toolChoice = tools.length ? "auto" : "none";
+  if (tc != null) {
+    if (!tools.length) return { error: "tool_choice is only allowed when tools are specified", param: "tool_choice" };
+    if (["none", "auto", "required"].includes(tc)) toolChoice = tc;
+    else if (tc?.type === "function" && tools.some((t) => t.name === tc.function?.name)) toolChoice = { name: tc.function.name };
+    else return { error: "tool_choice must be none, auto, required or a declared function", param: "tool_choice" };
+  }
+
+  if (!format && toolChoice === "none") return { spec: null };
+  return {
+    spec: {
+      format,
+      tools: toolChoice === "none" ? [] : tools,
+      toolChoice,
+      parallel: body?.parallel_tool_calls !== false,
+    },
+  };
+}
+
+function structuredInstructions(spec) {
+  const parts = [];
+  if (spec.tools.length) {
+    const list = spec.tools.map((t) =>
+      [`- ${t.name}${t.description ? `: ${t.description}` : ""}`, `  parameters (JSON Schema): ${JSON.stringify(t.parameters)}`].join("\n")
+    );
+    parts.push(
+      "You can call the following tools:",
+      ...list,
+      'To call tools, reply with only this JSON and nothing else: {"tool_calls":[{"name":"<tool name>","arguments":{...}}]}',
+      "Tool results come back to you as tool messages."
+    );
+    if (spec.toolChoice === "required") parts.push("You must call at least one tool in this reply.");
+    else if (spec.toolChoice?.name) parts.push(`You must call the tool '${spec.toolChoice.name}' in this reply.`);
+    else parts.push("If no tool is needed, answer directly.");
+    if (!spec.parallel) parts.push("Call at most one tool per reply.");
+  }
+  if (spec.format?.type === "json_object") {
+    parts.push("Answer with a single valid JSON object only, without code fences or any text before or after it.");
+  } else if (spec.format?.type === "json_schema") {
+    const desc = spec.format.description ? ` (${spec.format.description})` : "";
+    parts.push(
+      `Answer with a single JSON value that conforms to the JSON Schema "${spec.format.name}"${desc}, without code fences or any text before or after it:`,
+      JSON.stringify(spec.format.schema)
+    );
+  }
+  return parts.join("\n");
+}
+
+function repairInstructions(spec, errors) {
+  const what = spec.format && !spec.tools.length ? "the corrected JSON" : "the corrected JSON (tool_calls or answer)";
+  return [
+    "Your previous reply could not be used:",
+    ...errors.map((e) => `- ${e}`),
+    `Reply again with only ${what}, following the earlier format instructions.`,
+  ].join("\n");
+}
+
+function parseToolArguments(args) {
+  if (typeof args !== "string") return args ?? {};
+  try {
+    return JSON.parse(args);
+  } catch {
+    return args;
+  }
+}
+
+// transcript form of an assistant tool call turn; the same text is used when saving the reply,
+// so conversation reuse finds it again when the client sends the turn back
+function toolCallsToText(toolCalls) {
+  const calls = toolCalls.map((c) => ({ name: c?.function?.name, arguments: parseToolArguments(c?.function?.arguments) }));
+  return JSON.stringify({ tool_calls: calls });
+}
+
+function renderToolMessages(messages) {
+  const names = new Map();
+  return messages.map((m) => {
+    if (m?.role === "assistant" && Array.isArray(m.tool_calls) && m.tool_calls.length) {
+      for (const c of m.tool_calls) if (c?.id) names.set(c.id, c.function?.name);
+      const text = m.content == null ? "" : contentToText(m.content).trim();
+      return { role: "assistant", content: [text, toolCallsToText(m.tool_calls)].filter(Boolean).join("\n") };
+    }
+    if (m?.role === "tool") {
+      const name = names.get(m.tool_call_id) || m.name || m.tool_call_id || "tool";
+      return { role: "tool", content: `${name} returned: ${contentToText(m.content ?? "")}` };
+    }
+    return m;
+  });
+}
+
+function looksLikeToolCalls(v, spec) {
+  return isPlainObject(v) && (Array.isArray(v.tool_calls) || (typeof v.name === "string" && "arguments" in v && spec.tools.some((t) => t.name === v.name)));
+}
+
+// returns { toolCalls } (OpenAI shape) or { errors }
+function parseToolCalls(value, spec) {
+  let raw = Array.isArray(value.tool_calls) ? value.tool_calls : [value];
+  if (!raw.length) return { errors: ["tool_calls is empty"] };
+  if (!spec.parallel) raw = raw.slice(0, 1);
+  const errors = [];
+  const toolCalls = raw.map((c, i) => {
+    const tool = spec.tools.find((t) => t.name === c?.name);
+    if (!tool) {
+      errors.push(`tool_calls[${i}]: unknown tool '${safeString(String(c?.name), 64)}'`);
+      return null;
+    }
+    const args = parseToolArguments(c.arguments);
+    if (!isPlainObject(args)) errors.push(`tool_calls[${i}].arguments: expected a JSON object`);
+    else errors.push(...validateJsonSchema(args, tool.parameters, `tool_calls[${i}].arguments`));
+    return { id: `call_${crypto.randomBytes(12).toString("hex")}`, type: "function", function: { name: tool.name, arguments: JSON.stringify(args) } };
+  });
+  if (spec.toolChoice?.name && !toolCalls.some((c) => c?.function.name === spec.toolChoice.name)) {
+    errors.push(`the tool '${spec.toolChoice.name}' must be called`);
+  }
+  return errors.length ? { errors } : { toolCalls };
+}
+
+// returns { content } | { toolCalls } | { errors }
+function checkStructuredAnswer(text, spec) {
+  const parsed = extractJson(text);
+  if (spec.tools.length) {
+    if (parsed && looksLikeToolCalls(parsed.value, spec)) return parseToolCalls(parsed.value, spec);
+    if (spec.toolChoice !== "auto") return { errors: ['a tool call is required: reply with {"tool_calls":[...]}'] };
+  }
+  if (!spec.format) return { content: text };
+  if (!parsed) return { errors: ["the reply does not contain valid JSON"] };
+  if (spec.format.type === "json_object" && !isPlainObject(parsed.value)) return { errors: ["expected a JSON object"] };
+  if (spec.format.type === "json_schema") {
+    const errors = validateJsonSchema(parsed.value, spec.format.schema);
+    if (errors.length) return { errors };
+  }
+  return { content: JSON.stringify(parsed.value) };
+}
+
+// validates the answer and re-asks Copilot via `ask(prompt) -> text` until it passes or retries run out
+async function resolveStructuredAnswer(text, spec, { ask, requestId }) {
+  for (let attempt = 1; ; attempt++) {
+    const out = checkStructuredAnswer(text, spec);
+    if (!out.errors) return out;
+    log("warn", "structured.invalid", { requestId, attempt, errors: out.errors.slice(0, 3) });
+    if (attempt > STRUCTURED_OUTPUT_RETRIES) {
+      throw new UpstreamError(`Copilot did not return valid structured output after ${attempt} attempts: ${out.errors[0]}`, {
+        code: "invalid_structured_output",
+      });
+    }
+    text = (await ask(repairInstructions(spec, out.errors))) || "";
+  }
+}
+
+// =======================
+// Routes
+// =======================
+function presentModel(profile) {
+  return { id: profile.id, object: "model", created: 0, owned_by: "gateway", description: profile.description || null };
+}
+
+app.get("/v1/models", async (req, res, next) => {
+  try {
+    if (!(await requireGatewayToken(req, res, "models"))) return;
+    const data = [...modelCatalog.values()].filter((p) => modelAllowed(p, req)).map(presentModel);
+    res.json({ object: "list", data: data.sort((a, b) => a.id.localeCompare(b.id)) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.get("/v1/models/:id", async (req, res, next) => {
+  try {
+    if (!(await requireGatewayToken(req, res, "models"))) return;
+    const profile = lookupModel(req.params.id);
+    if (!profile || !modelAllowed(profile, req)) {
+      throw new NotFoundError(`The model '${safeString(req.params.id, 80)}' does not exist or you do not have access to it.`, {
+        code: "model_not_found",
+        param: "model",
+      });
+    }
+    res.json(presentModel(profile));
+  } catch (err) {
+    next(err);
+  }
+});
+
+function getUserContext(req) {
+  // batch items run as the key that created the batch, or through a pool when there was none
+  if (req.batchOwner) return req.batchOwner.keyId ? { type: "keyid", keyId: req.batchOwner.keyId } : null;
+  const userKey = req.headers["x-user-key"];
+  if (typeof userKey === "string" && userKey.length > 10) return { type: "userkey", userKey };
+  if (req.session?.account?.homeAccountId) return { type: "session", account: req.session.account };
+  return null;
+}
+
+// resolves the Copilot account behind the request and applies rate limits; on failure sends 401/429 and returns null
+async function resolveAccount(req, res) {
+  const requestId = req.requestId;
+  const ctx = getUserContext(req);
+  if (!ctx) {
+    const pool = await findPoolForRequest(req);
+    if (pool) return await resolvePoolAccount(req, res, pool);
+    log("warn", "auth.noUserContext", { requestId });
+    sendError(req, res, new AuthenticationError("No user context. Use X-User-Key.", { param: "x-user-key" }));
+    return null;
+  }
+
+  const account =
+    ctx.type === "session" ? ctx.account : ctx.type === "keyid" ? await getAccountByKeyId(ctx.keyId) : await getAccountByUserKey(ctx.userKey);
+  if (!account) {
+    log("warn", "auth.invalidUserKey", { requestId });
+    sendError(req, res, new AuthenticationError("Invalid X-User-Key or expired.", { param: "x-user-key" }));
+    return null;
+  }
+  req.account = account;
+  if (ctx.type === "userkey") req.userKeyId = userKeyId(ctx.userKey);
+  if (ctx.type === "keyid") req.userKeyId = ctx.keyId;
+  if (!(await enforceQuota(req, res))) return null;
+  if (!(await enforceRateLimits(req, res))) return null;
+  trackKeyHealth(req, res);
+  return account;
+}
+
+async function resolvePoolAccount(req, res, pool) {
+  const picked = await selectPoolMember(pool, { stickyRef: poolStickyRef(req), prefer: req.batchOwner?.poolMember });
+  if (!picked) {
+    log("warn", "pool.exhausted", { requestId: req.requestId, pool: pool.name });
+    sendError(req, res, new UpstreamError(`No healthy account available in pool '${pool.name}'`, { status: 503, code: "pool_unavailable" }));
+    return null;
+  }
+  req.pool = pool;
+  req.account = picked.account;
+  req.userKeyId = picked.keyId;
+  log("info", "pool.route", { requestId: req.requestId, pool: pool.name, keyId: picked.keyId, strategy: pool.strategy });
+  if (!(await enforceRateLimits(req, res))) return null;
+  req.poolInflight = trackPoolInflight(req, res);
+  trackKeyHealth(req, res);
+  return picked.account;
+}
+
+// Token → conversation → chat / chatOverStream, with pool failover. Resolves once upstream
+// headers arrive, so a failover never replays output the client has already received.
+// Attachments are uploaded per attempt, since a failover lands in another account's OneDrive; the
+// returned extras carry the uploaded files for follow-up calls in the same conversation.
+async function startCopilotTurn(req, { account, messages, profile, instructions, extras, attachments = [], stream, guard }) {
+  const requestId = req.requestId;
+  return await withAccountFailover(req, account, async (account) => {
+    const accessToken = await acquireAccessToken({ account, requestId });
+    const uploaded = attachments.length
+      ? await guard.run(() => uploadAttachments(req, account, attachments, guard.signal))
+      : [];
+    const turnExtras = withContextFiles(extras, uploaded);
+    const convCtx = { accessToken, requestId, messages, profile, instructions };
+    const opened = await openConversation({ ...convCtx, account, body: req.body });
+    auditNote(req, { conversationId: opened.conversationId, prompt: opened.prompt });
+    const call = stream ? copilotChatOverStream : copilotChat;
+    const { conv, result } = await guard.run(() =>
+      withConversation(opened, convCtx, (c) =>
+        call(accessToken, c.conversationId, c.prompt, requestId, { extras: turnExtras, signal: guard.signal })
+      )
+    );
+    auditNote(req, { conversationId: conv.conversationId });
+    return { account, conv, result, accessToken, extras: turnExtras };
+  });
+}
+
+// Device code start/status (kept from earlier versions)
+app.post("/auth/device/start", async (req, res, next) => {
+  try {
+    if (!(await requireGatewayToken(req, res, "auth"))) return;
+    const requestId = req.requestId;
+    const txId = crypto.randomUUID();
+    const createdAt = Date.now();
+    const label = normalizeLabel(req.body?.label);
+    let infoResolve, infoReject;
+    // rejects when the flow fails before Entra handed out a device code
+    const infoPromise = new Promise((resolve, reject) => ([infoResolve, infoReject] = [resolve, reject]));
+
+    (async () => {
+      try {
+        const result = await createMsalClient().acquireTokenByDeviceCode({
+          scopes: LOGIN_SCOPES,
+          deviceCodeCallback: async (response) => {
+            const deviceInfo = {
+              txId,
+              status: "pending",
+              createdAt,
+              label,
+              user_code: response.userCode,
+              verification_uri: response.verificationUri,
+              message: response.message,
+              expires_in: response.expiresIn,
+              interval: response.interval,
+            };
+            await redisSetJson(`devtx:${txId}`, deviceInfo, response.expiresIn);
+            infoResolve(deviceInfo);
+            log("info", "auth.device.pending", { requestId, txId, expiresIn: response.expiresIn });
+          },
+        });
+
+        const account = result.account;
+        if (!account?.homeAccountId) throw new Error("No account in device code result");
+
+        await completeInteractiveLogin(account);
+
+        const { userKey, meta } = await registerUserKey(account, { label, createdVia: "device_code" });
+
+        const done = (await redisGetJson(`devtx:${txId}`)) || { txId };
+        done.status = "complete";
+        done.user_key = userKey;
+        done.key_id = meta.id;
+        done.completedAt = Date.now();
+        await redisSetJson(`devtx:${txId}`, done, 60 * 60 * 24);
+
+        log("info", "auth.device.complete", { requestId, txId, keyId: meta.id, homeAccountId: account.homeAccountId });
+      } catch (e) {
+        infoReject(new UpstreamError(`Device code sign-in could not start: ${e?.errorCode || e?.message || e}`));
+        const cur = (await redisGetJson(`devtx:${txId}`)) || { txId };
+        cur.status = "error";
+        cur.error = String(e?.message || e);
+        await redisSetJson(`devtx:${txId}`, cur, 60 * 60);
+        log("error", "auth.device.error", { requestId, txId, err: safeString(e?.message || e) });
+      }
+    })().catch((e) => log("error", "auth.device.error", { requestId, txId, err: safeString(e?.message || e) }));
+
+    const info = await infoPromise;
+    res.json(info);
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.get("/auth/device/status/:txId", async (req, res, next) => {
+  try {
+    if (!(await requireGatewayToken(req, res, "auth"))) return;
+    const info = await redisGetJson(`devtx:${req.params.txId}`);
+    if (!info) throw new NotFoundError("txId not found");
+    res.json(info);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Browser login (authorization code + PKCE)
+const msalCrypto = new CryptoProvider();
+
+function escapeHtml(v) {
+  return String(v ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+function renderAuthPage(res, status, title, bodyHtml) {
+  res
+    .status(status)
+    .type("html")
+    .set("Cache-Control", "no-store")
+    .send(
+      `<!doctype html><html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>` +
+        `<style>body{font-family:system-ui,sans-serif;max-width:640px;margin:48px auto;padding:0 16px;color:#222}` +
+        `code{display:block;padding:12px;background:#f4f4f4;border-radius:6px;word-break:break-all;font-size:15px}</style>` +
+        `</head><body><h2>${escapeHtml(title)}</h2>${bodyHtml}</body></html>`
+    );
+}
+
+// Browsers can't send a bearer header on navigation, so without one /auth/login shows a form that
+// posts the gateway token. The token's id is kept with the pending login and checked again on callback.
+function renderLoginForm(res, label, status = 200, error = "") {
+  renderAuthPage(
+    res,
+    status,
+    "登录授权",
+    (error ? `<p style="color:#b00">${escapeHtml(error)}</p>` : "") +
+      `<form method="post" action="/auth/login">` +
+      `<p><label>网关 token（需具备 auth 权限）<br><input type="password" name="token" required style="width:100%"></label></p>` +
+      `<input type="hidden" name="label" value="${escapeHtml(label || "")}">` +
+      `<p><button type="submit">继续登录</button></p></form>`
+  );
+}
+
+async function startAuthCodeLogin(req, res, label) {
+  const { verifier, challenge } = await msalCrypto.generatePkceCodes();
+  const state = base64url(crypto.randomBytes(24));
+  req.session.authCode = {
+    state,
+    verifier,
+    label: normalizeLabel(label),
+    tokenId: req.gatewayToken.id,
+    createdAt: Date.now(),
+  };
+  const url = await createMsalClient().getAuthCodeUrl({
+    scopes: LOGIN_SCOPES,
+    redirectUri: REDIRECT_URI,
+    state,
+    codeChallenge: challenge,
+    codeChallengeMethod: "S256",
+    prompt: "select_account",
+  });
+  log("info", "auth.login.redirect", { requestId: req.requestId, tokenId: req.gatewayToken.id });
+  res.redirect(url);
+}
+
+app.get("/auth/login", async (req, res, next) => {
+  try {
+    const sentBearer = !!(req.headers.authorization || req.headers["x-api-key"]);
+    if (!sentBearer && !builtinGatewayToken("anonymous")) return renderLoginForm(res, req.query.label);
+    if (!(await requireGatewayToken(req, res, "auth"))) return;
+    await startAuthCodeLogin(req, res, req.query.label);
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.post("/auth/login", express.urlencoded({ extended: false, limit: "16kb" }), async (req, res, next) => {
+  try {
+    const bearer = typeof req.body?.token === "string" ? req.body.token.trim() : "";
+    const token = bearer ? await resolveGatewayToken(req, bearer) : null;
+    if (!token?.scopes.includes("auth")) {
+      log("warn", "auth.login.invalidGatewayToken", { requestId: req.requestId, tokenId: token?.id });
+      return renderLoginForm(res, req.body?.label, 401, token ? "该网关 token 没有 auth 权限。" : "网关 token 无效。");
+    }
+    req.gatewayToken = token;
+    await startAuthCodeLogin(req, res, req.body?.label);
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.get("/auth/callback", async (req, res, next) => {
+  try {
+    const requestId = req.requestId;
+    const pending = req.session.authCode;
+    delete req.session.authCode;
+
+    if (req.query.error) {
+      log("warn", "auth.callback.error", { requestId, error: req.query.error, desc: safeString(req.query.error_description) });
+      return renderAuthPage(res, 400, "登录失败", `<p>${escapeHtml(req.query.error_description || req.query.error)}</p>`);
+    }
+    const state = typeof req.query.state === "string" ? req.query.state : "";
+    if (!pending || !state || !safeEqual(state, pending.state) || Date.now() - pending.createdAt > 10 * 60 * 1000) {
+      log("warn", "auth.callback.badState", { requestId, hasPending: !!pending });
+      return renderAuthPage(res, 400, "登录失败", `<p>登录状态无效或已过期，请<a href="/auth/login">重新登录</a>。</p>`);
+    }
+    // the token that started the login may have been revoked in the meantime
+    const gatewayToken = pending.tokenId ? await gatewayTokenById(pending.tokenId) : null;
+    if (!gatewayToken?.scopes.includes("auth")) {
+      log("warn", "auth.callback.tokenRevoked", { requestId, tokenId: pending.tokenId });
+      return renderAuthPage(res, 403, "登录失败", `<p>发起登录的网关 token 已失效，请<a href="/auth/login">重新登录</a>。</p>`);
+    }
+    req.gatewayToken = gatewayToken;
+
+    let account, userKey, meta;
+    try {
+      const result = await createMsalClient().acquireTokenByCode({
+        code: String(req.query.code || ""),
+        scopes: LOGIN_SCOPES,
+        redirectUri: REDIRECT_URI,
+        codeVerifier: pending.verifier,
+      });
+      account = result.account;
+      if (!account?.homeAccountId) throw new Error("No account in auth code result");
+
+      await completeInteractiveLogin(account);
+      ({ userKey, meta } = await registerUserKey(account, { label: pending.label, createdVia: "auth_code" }));
+    } catch (e) {
+      log("error", "auth.callback.failed", { requestId, err: safeString(e?.message || e) });
+      return renderAuthPage(res, 500, "登录失败", `<p>${escapeHtml(e?.message || e)}</p><p><a href="/auth/login">重新登录</a></p>`);
+    }
+
+    // new session id once signed in, so a session id planted before login can't ride on it
+    await new Promise((resolve, reject) => req.session.regenerate((err) => (err ? reject(err) : resolve())));
+    req.session.account = account;
+    log("info", "auth.callback.complete", { requestId, keyId: meta.id, homeAccountId: account.homeAccountId, tokenId: gatewayToken.id });
+
+    renderAuthPage(
+      res,
+      200,
+      "授权成功",
+      `<p>账号：${escapeHtml(account.username || account.name)}</p>` +
+        (meta.label ? `<p>Label：${escapeHtml(meta.label)}</p>` : "") +
+        `<p>你的 <b>X-User-Key</b>（仅显示一次，请妥善保存）：</p><code>${escapeHtml(userKey)}</code>` +
+        `<p><a href="/auth/logout">退出登录</a></p>`
+    );
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.get("/auth/logout", (req, res, next) => {
+  const homeAccountId = req.session?.account?.homeAccountId;
+  req.session.destroy((err) => {
+    if (err) return next(err);
+    res.clearCookie("connect.sid");
+    log("info", "auth.logout", { requestId: req.requestId, homeAccountId });
+    renderAuthPage(res, 200, "已退出登录", `<p>浏览器会话已清除。已签发的 X-User-Key 不受影响，如需吊销请联系管理员。</p>`);
+  });
+});
+
+// Gateway token management
+app.get("/auth/tokens", async (req, res, next) => {
+  try {
+    if (!(await requireAdminToken(req, res))) return;
+    const tokens = await listGatewayTokens();
+    res.json({ object: "list", count: tokens.length, data: tokens });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.post("/auth/tokens", async (req, res, next) => {
+  try {
+    if (!(await requireAdminToken(req, res))) return;
+    const name = normalizeLabel(req.body?.name);
+    const scopes = normalizeScopes(req.body?.scopes ?? ["chat", "models"]);
+    if (!name) throw new InvalidRequestError("name is required");
+    if (!scopes.length) {
+      throw new InvalidRequestError(`scopes must include at least one of: ${GATEWAY_SCOPES.join(", ")}`);
+    }
+    const { token, meta } = await createGatewayToken({ name, scopes });
+    log("info", "gwtokens.create", { requestId: req.requestId, tokenId: meta.id, scopes });
+    res.json({ ...presentGatewayToken(meta), token });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.delete("/auth/tokens/:id", async (req, res, next) => {
+  try {
+    if (!(await requireAdminToken(req, res))) return;
+    const ok = await revokeGatewayToken(req.params.id);
+    if (!ok) throw new NotFoundError("token not found");
+    log("info", "gwtokens.revoke", { requestId: req.requestId, tokenId: req.params.id });
+    res.json({ id: req.params.id, revoked: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Key management
+app.get("/auth/keys", async (req, res, next) => {
+  try {
+    if (!(await requireAdminToken(req, res))) return;
+    const keys = await listUserKeys();
+    res.json({ object: "list", count: keys.length, data: keys });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.post("/auth/keys/label", async (req, res, next) => {
+  try {
+    if (!(await requireAdminToken(req, res))) return;
+    const { user_key: ref, id, label } = req.body || {};
+    if (typeof label !== "string") {
+      throw new InvalidRequestError("label must be a string");
+    }
+    const meta = await findUserKeyMeta(ref || id);
+    if (!meta) throw new NotFoundError("user key not found");
+    meta.label = normalizeLabel(label);
+    await redis.hset(`keymeta:${meta.id}`, "label", meta.label);
+    log("info", "userkeys.label", { requestId: req.requestId, keyId: meta.id });
+    res.json(presentUserKey(meta, await redis.ttl(`keymeta:${meta.id}`), await getReauthMark(meta.homeAccountId)));
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.get("/auth/keys/:userKey", async (req, res, next) => {
+  try {
+    if (!(await requireAdminToken(req, res))) return;
+    const meta = await findUserKeyMeta(req.params.userKey);
+    if (!meta) throw new NotFoundError("user key not found");
+    res.json(presentUserKey(meta, await redis.ttl(`keymeta:${meta.id}`), await getReauthMark(meta.homeAccountId)));
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.delete("/auth/keys/:userKey", async (req, res, next) => {
+  try {
+    if (!(await requireAdminToken(req, res))) return;
+    const meta = await findUserKeyMeta(req.params.userKey);
+    if (!meta) throw new NotFoundError("user key not found");
+    await revokeUserKey(meta);
+    log("info", "userkeys.revoke", { requestId: req.requestId, keyId: meta.id });
+    res.json({ id: meta.id, deleted: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.post("/auth/keys/:userKey/limits", async (req, res, next) => {
+  try {
+    if (!(await requireAdminToken(req, res))) return;
+    const meta = await findUserKeyMeta(req.params.userKey);
+    if (!meta) throw new NotFoundError("user key not found");
+    const update = {};
+    for (const f of KEY_LIMIT_FIELDS) {
+      if (!(f in (req.body || {}))) continue;
+      const v = req.body[f];
+      if (v !== null && !(Number.isInteger(v) && v >= 0)) {
+        throw new InvalidRequestError(`${f} must be a non-negative integer or null`);
+      }
+      update[f] = v === null ? "" : String(v);
+    }
+    if (Object.keys(update).length) await redis.hset(`keymeta:${meta.id}`, update);
+    log("info", "userkeys.limits", { requestId: req.requestId, keyId: meta.id, ...update });
+    res.json(presentUserKey({ ...meta, ...update }, await redis.ttl(`keymeta:${meta.id}`), await getReauthMark(meta.homeAccountId)));
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.post("/auth/keys/:userKey/rotate", async (req, res, next) => {
+  try {
+    if (!(await requireAdminToken(req, res))) return;
+    const meta = await findUserKeyMeta(req.params.userKey);
+    if (!meta) throw new NotFoundError("user key not found");
+    const { userKey, meta: nextMeta } = await rotateUserKey(meta);
+    log("info", "userkeys.rotate", { requestId: req.requestId, keyId: nextMeta.id, rotatedFrom: meta.id });
+    res.json({ ...presentUserKey(nextMeta, USER_KEY_TTL, await getReauthMark(meta.homeAccountId)), user_key: userKey });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Key health (admin)
+app.get("/admin/keys/health", async (req, res, next) => {
+  try {
+    if (!(await requireAdminToken(req, res))) return;
+    let data = await listKeyHealth();
+    if (typeof req.query.status === "string" && req.query.status) data = data.filter((k) => k.status === req.query.status);
+    const counts = {};
+    for (const k of data) counts[k.status] = (counts[k.status] || 0) + 1;
+    res.json({ object: "list", count: data.length, statuses: counts, data });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// runs the refresh / expiry sweep now instead of waiting for the next tick
+app.post("/admin/keys/health/sweep", async (req, res, next) => {
+  try {
+    if (!(await requireAdminToken(req, res))) return;
+    const summary = await runKeyHealthSweep({ force: true });
+    if (!summary) {
+      throw new GatewayError("A key health sweep is already running.", { status: 409, type: "invalid_request_error", code: "sweep_in_progress" });
+    }
+    res.json({ ok: true, ...summary });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Model catalog (admin)
+function presentAdminModel(profile) {
+  const { source, ...fields } = profile;
+  return { ...fields, source };
+}
+
+app.get("/admin/models", async (req, res, next) => {
+  try {
+    if (!(await requireAdminToken(req, res))) return;
+    const data = [...modelCatalog.values()].sort((a, b) => a.id.localeCompare(b.id)).map(presentAdminModel);
+    res.json({ object: "list", version: modelCatalogVersion, file: MODEL_CATALOG_FILE || null, data });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// body: profile fields; stored in Redis, where it overrides a built-in or file entry with the same id
+app.put("/admin/models/:id", async (req, res, next) => {
+  try {
+    if (!(await requireAdminToken(req, res))) return;
+    const id = req.params.id;
+    const { profile, error } = validateModelProfile(id, req.body);
+    if (error) throw new InvalidRequestError(error);
+    const { id: _, ...fields } = profile;
+    const created = await redis.hset("models", id, JSON.stringify(fields));
+    await redis.incr("models:version");
+    await reloadRedisModels();
+    log("info", "models.upsert", { requestId: req.requestId, model: id });
+    res.status(created ? 201 : 200).json(presentAdminModel(lookupModel(id)));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// only Redis entries can be deleted; a built-in or file entry with the same id becomes visible again
+app.delete("/admin/models/:id", async (req, res, next) => {
+  try {
+    if (!(await requireAdminToken(req, res))) return;
+    const id = req.params.id;
+    if (!(await redis.hdel("models", id))) throw new NotFoundError("model not found in redis");
+    await redis.incr("models:version");
+    await reloadRedisModels();
+    log("info", "models.delete", { requestId: req.requestId, model: id });
+    res.json({ id, deleted: true, fallback: modelCatalog.get(id)?.source || null });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.post("/admin/models/reload", async (req, res, next) => {
+  try {
+    if (!(await requireAdminToken(req, res))) return;
+    reloadModelCatalogFile();
+    await reloadRedisModels();
+    res.json({ version: modelCatalogVersion, count: modelCatalog.size });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Account pools (admin)
+const POOL_NAME_RE = /^[A-Za-z0-9_.-]{1,64}$/;
+
+async function presentPool(pool) {
+  const members = await loadPoolMembers(pool);
+  return {
+    name: pool.name,
+    strategy: pool.strategy,
+    tokens: pool.tokens,
+    models: pool.models,
+    created_at: pool.createdAt ? new Date(Number(pool.createdAt)).toISOString() : null,
+    updated_at: pool.updatedAt ? new Date(Number(pool.updatedAt)).toISOString() : null,
+    healthy: members.filter((m) => m.meta && !m.ejected).length,
+    members: members.map((m) => ({
+      id: m.id,
+      label: m.meta?.label || null,
+      username: m.meta?.username || null,
+      registered: !!m.meta,
+      status: !m.meta ? "missing" : m.ejected ? "ejected" : "healthy",
+      inflight: m.inflight,
+      ...m.health,
+    })),
+  };
+}
+
+app.get("/admin/pools", async (req, res, next) => {
+  try {
+    if (!(await requireAdminToken(req, res))) return;
+    const pools = await listPools();
+    res.json({ object: "list", data: await Promise.all(pools.map(presentPool)) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.get("/admin/pools/:name", async (req, res, next) => {
+  try {
+    if (!(await requireAdminToken(req, res))) return;
+    const pool = await getPool(req.params.name);
+    if (!pool) throw new NotFoundError("pool not found");
+    res.json(await presentPool(pool));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// body: { strategy?, members: [userKey | keyId], tokens?: [tokenId], models?: [alias] }
+app.put("/admin/pools/:name", async (req, res, next) => {
+  try {
+    if (!(await requireAdminToken(req, res))) return;
+    const name = req.params.name;
+    if (!POOL_NAME_RE.test(name)) throw new InvalidRequestError("invalid pool name");
+    const body = req.body || {};
+    const prev = await getPool(name);
+    const strategy = body.strategy ?? prev?.strategy ?? "round_robin";
+    if (!POOL_STRATEGIES.includes(strategy)) {
+      throw new InvalidRequestError(`strategy must be one of ${POOL_STRATEGIES.join(", ")}`);
     }
-    for (let i = msgs.length - 1; i >= 0; i--) {
-      const t = extractTextFromMessage(msgs[i]);
-      if (t) return t;
+    for (const f of ["members", "tokens", "models"]) {
+      if (f in body && !(Array.isArray(body[f]) && body[f].every((v) => typeof v === "string" && v))) {
+        throw new InvalidRequestError(`${f} must be an array of strings`);
+      }
+    }
+
+    let members = prev?.members || [];
+    if (body.members) {
+      members = [];
+      for (const ref of body.members) {
+        const meta = await findUserKeyMeta(ref);
+        if (!meta) throw new InvalidRequestError(`user key not found: ${maskUserKey(ref)}`);
+        if (!members.includes(meta.id)) members.push(meta.id);
+      }
     }
+    const tokens = body.tokens ? [...new Set(body.tokens)] : prev?.tokens || [];
+    const models = body.models ? [...new Set(body.models)] : prev?.models || [];
+
+    const others = (await listPools()).filter((p) => p.name !== name);
+    const takenModel = models.find((m) => others.some((p) => p.models.includes(m)));
+    if (takenModel) throw new InvalidRequestError(`model '${takenModel}' is already bound to another pool`);
+    const takenToken = tokens.find((t) => others.some((p) => p.tokens.includes(t)));
+    if (takenToken) throw new InvalidRequestError(`token '${takenToken}' is already bound to another pool`);
+
+    const now = String(Date.now());
+    await redis
+      .multi()
+      .hset(`pool:${name}`, {
+        name,
+        strategy,
+        members: JSON.stringify(members),
+        tokens: JSON.stringify(tokens),
+        models: JSON.stringify(models),
+        createdAt: prev?.createdAt || now,
+        updatedAt: now,
+      })
+      .sadd("pools", name)
+      .exec();
+    log("info", "pools.upsert", { requestId: req.requestId, pool: name, strategy, members: members.length, tokens, models });
+    res.status(prev ? 200 : 201).json(await presentPool(await getPool(name)));
+  } catch (err) {
+    next(err);
   }
-  const wrapped = obj?.value?.messages;
-  if (Array.isArray(wrapped) && wrapped.length) {
-    for (let i = wrapped.length - 1; i >= 0; i--) {
-      const t = extractTextFromMessage(wrapped[i]);
-      if (t) return t;
+});
+
+app.delete("/admin/pools/:name", async (req, res, next) => {
+  try {
+    if (!(await requireAdminToken(req, res))) return;
+    const name = req.params.name;
+    if (!(await getPool(name))) throw new NotFoundError("pool not found");
+    await redis.multi().del(`pool:${name}`, `poolrr:${name}`).srem("pools", name).exec();
+    log("info", "pools.delete", { requestId: req.requestId, pool: name });
+    res.json({ name, deleted: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// clears an ejection before its cooldown ends
+app.post("/admin/pools/:name/members/:keyId/reinstate", async (req, res, next) => {
+  try {
+    if (!(await requireAdminToken(req, res))) return;
+    const pool = await getPool(req.params.name);
+    if (!pool) throw new NotFoundError("pool not found");
+    if (!pool.members.includes(req.params.keyId)) throw new NotFoundError("member not found");
+    await redis.hset(`poolhealth:${req.params.keyId}`, { ejectedUntil: "0", reason: "", consecutive429: "0" });
+    log("info", "pools.reinstate", { requestId: req.requestId, pool: pool.name, keyId: req.params.keyId });
+    res.json(await presentPool(pool));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Audit log query (admin): ?user=&key_id=&token_id=&from=&to=&limit=&format=json|ndjson|csv
+// from/to accept ISO-8601 or epoch milliseconds; the default window is the last 24 hours.
+app.get("/admin/audit", async (req, res, next) => {
+  try {
+    if (!(await requireAdminToken(req, res))) return;
+    if (!auditSink) throw new NotFoundError("audit log is disabled (AUDIT_SINK=off)");
+    const q = req.query;
+    const parseTime = (v, dflt) => {
+      if (v == null || v === "") return dflt;
+      const n = /^\d+$/.test(String(v)) ? Number(v) : Date.parse(String(v));
+      return Number.isFinite(n) ? n : NaN;
+    };
+    const to = parseTime(q.to, Date.now());
+    const from = parseTime(q.from, to - 24 * 3600 * 1000);
+    if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+      throw new InvalidRequestError("from/to must be ISO-8601 or epoch ms, with from <= to");
+    }
+    const format = String(q.format || "json");
+    if (!["json", "ndjson", "csv"].includes(format)) {
+      throw new InvalidRequestError("format must be json, ndjson or csv");
+    }
+    const limit = Math.min(Math.max(parseInt(q.limit || (format === "json" ? "100" : "10000"), 10) || 1, 1), 10000);
+    const filter = { user: q.user ? String(q.user) : null, keyId: q.key_id ? String(q.key_id) : null, tokenId: q.token_id ? String(q.token_id) : null };
+
+    const records = [];
+    for await (const rec of auditSink.read({ from, to })) {
+      if (!auditMatches(rec, filter)) continue;
+      records.push(rec);
+      if (records.length >= limit) break;
+    }
+    log("info", "audit.query", { requestId: req.requestId, ...filter, from, to, format, count: records.length });
+
+    const stamp = new Date(from).toISOString().slice(0, 10);
+    if (format === "ndjson") {
+      res.setHeader("Content-Disposition", `attachment; filename="audit-${stamp}.ndjson"`);
+      return res.type("application/x-ndjson").send(records.map((r) => JSON.stringify(r)).join("\n") + (records.length ? "\n" : ""));
+    }
+    if (format === "csv") {
+      const rows = [AUDIT_CSV_COLUMNS.map(([name]) => name).join(",")];
+      for (const r of records) rows.push(AUDIT_CSV_COLUMNS.map(([, get]) => csvCell(get(r))).join(","));
+      res.setHeader("Content-Disposition", `attachment; filename="audit-${stamp}.csv"`);
+      return res.type("text/csv; charset=utf-8").send("\ufeff" + rows.join("\r\n") + "\r\n");
+    }
+    res.json({ object: "list", count: records.length, from: new Date(from).toISOString(), to: new Date(to).toISOString(), data: records });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Usage report (admin): ?period=day|month&from=&to=&group_by=key,token,model,period&key_id=&token_id=&model=&format=json|csv
+// Token counts are estimates (see "Usage accounting & quotas"). The default window is the last 7 days / this month.
+app.get("/admin/usage", async (req, res, next) => {
+  try {
+    if (!(await requireAdminToken(req, res))) return;
+    const q = req.query;
+    const period = String(q.period || "day");
+    if (!["day", "month"].includes(period)) throw new InvalidRequestError("period must be day or month");
+    const range = usagePeriodRange(period, q.from, q.to);
+    if (range.error) throw new InvalidRequestError(range.error);
+    const groupBy = String(q.group_by || "key,model").split(",").map((g) => g.trim()).filter(Boolean);
+    if (!groupBy.length || groupBy.some((g) => !USAGE_GROUP_FIELDS.includes(g))) {
+      throw new InvalidRequestError(`group_by must be a comma-separated list of ${USAGE_GROUP_FIELDS.join(", ")}`);
+    }
+    const format = String(q.format || "json");
+    if (!["json", "csv"].includes(format)) throw new InvalidRequestError("format must be json or csv");
+    const filter = { keyId: q.key_id ? String(q.key_id) : null, tokenId: q.token_id ? String(q.token_id) : null, model: q.model ? String(q.model) : null };
+
+    const rows = await readUsageReport({ period, ids: range.ids, groupBy, filter });
+    if (groupBy.includes("key")) {
+      const labels = new Map((await loadKeyMetas()).map(({ meta }) => [meta.id, meta.label || ""]));
+      for (const r of rows) r.key_label = labels.get(r.key) ?? null;
+    }
+    const from = range.ids[0];
+    const to = range.ids[range.ids.length - 1];
+    log("info", "usage.query", { requestId: req.requestId, period, from, to, groupBy: groupBy.join(","), ...filter, count: rows.length });
+
+    if (format === "csv") {
+      const columns = [...groupBy, ...(groupBy.includes("key") ? ["key_label"] : []), "requests", "prompt_tokens", "completion_tokens", "total_tokens"];
+      const lines = [columns.join(","), ...rows.map((r) => columns.map((c) => csvCell(r[c])).join(","))];
+      res.setHeader("Content-Disposition", `attachment; filename="usage-${from}-${to}.csv"`);
+      return res.type("text/csv; charset=utf-8").send("\ufeff" + lines.join("\r\n") + "\r\n");
+    }
+    res.json({ object: "list", period, from, to, group_by: groupBy, count: rows.length, data: rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// every user key with its effective token quotas and the usage of the current day and month
+app.get("/admin/usage/quotas", async (req, res, next) => {
+  try {
+    if (!(await requireAdminToken(req, res))) return;
+    const periods = usagePeriods();
+    const [day, month, keys] = await Promise.all([
+      redis.hgetall(`usagetotal:d:${periods.day}`),
+      redis.hgetall(`usagetotal:m:${periods.month}`),
+      loadKeyMetas(),
+    ]);
+    const data = keys.map(({ meta }) => {
+      const quotas = keyQuotas(meta);
+      const used = { d: Number(day[`key:${meta.id}`] || 0), m: Number(month[`key:${meta.id}`] || 0) };
+      const present = (kind) => ({
+        used_tokens: used[kind],
+        soft_quota: quotas[kind].soft || null,
+        hard_quota: quotas[kind].hard || null,
+        remaining_tokens: quotas[kind].hard > 0 ? Math.max(0, quotas[kind].hard - used[kind]) : null,
+        status: quotas[kind].hard > 0 && used[kind] >= quotas[kind].hard ? "exceeded" : quotas[kind].soft > 0 && used[kind] >= quotas[kind].soft ? "warning" : "ok",
+      });
+      return { id: meta.id, label: meta.label || "", username: meta.username || null, daily: present("d"), monthly: present("m") };
+    });
+    data.sort((a, b) => b.monthly.used_tokens - a.monthly.used_tokens);
+    res.json({ object: "list", day: periods.day, month: periods.month, count: data.length, data });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Prometheus scrape endpoint; configure the scraper with the admin bearer token
+app.get("/metrics", async (req, res, next) => {
+  try {
+    if (!(await requireAdminToken(req, res))) return;
+    const t0 = Date.now();
+    let up = 0;
+    try {
+      up = (await redis.ping()) === "PONG" ? 1 : 0;
+    } catch (e) {
+      log("warn", "metrics.redis.ping.failed", { requestId: req.requestId, err: safeString(e?.message || e) });
+    }
+    setGauge("redis_up", {}, up);
+    setGauge("redis_ping_seconds", {}, up ? (Date.now() - t0) / 1000 : 0);
+    setGauge("process_uptime_seconds", {}, Math.round(process.uptime()));
+    res.type("text/plain; version=0.0.4; charset=utf-8").send(renderMetrics());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// health endpoint (redis ping + config readiness)
+app.get("/healthz", async (req, res) => {
+  const requestId = req.requestId;
+  let redisOk = false;
+  try {
+    const pong = await redis.ping();
+    redisOk = pong === "PONG";
+  } catch (e) {
+    log("warn", "health.redis.ping.failed", { requestId, err: safeString(e?.message || e) });
+  }
+  res.json({
+    ok: true,
+    time: new Date().toISOString(),
+    redis: redisOk,
+    config: {
+      hasTenantId: !!TENANT_ID,
+      hasClientId: !!CLIENT_ID,
+      hasClientSecret: !!CLIENT_SECRET,
+      hasSessionSecret: !!SESSION_SECRET,
+      hasGatewayToken: !!API_BEARER_TOKEN,
+      hasAdminToken: !!ADMIN_BEARER_TOKEN,
+      redirectUri: REDIRECT_URI,
+    },
+  });
+});
+
+// Debug: last events
+app.get("/debug/last-events", async (req, res, next) => {
+  try {
+    if (!(await requireAdminToken(req, res))) return;
+    const key = "debug:last_events";
+    const arr = await redis.lrange(key, 0, Math.max(0, DEBUG_EVENT_LIMIT - 1));
+    const parsed = arr.map((s) => { try { return JSON.parse(s); } catch { return { raw: s }; } });
+    res.json({ count: parsed.length, events: parsed });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// main OpenAI endpoint; batch items run through the same handler
+async function handleChatCompletion(req, res, next) {
+  try {
+    if (!(await requireGatewayToken(req, res, "chat"))) return;
+
+    const requestId = req.requestId;
+    const { model = MODEL_DEFAULT, messages: rawMessages = [], stream = false } = req.body || {};
+    const profile = await resolveModel(req);
+
+    const parsed = parseCopilotExtras(req.body?.copilot, renderToolMessages(rawMessages));
+    if (parsed.error) throw new InvalidRequestError(parsed.error, { param: parsed.param });
+    const { messages } = parsed;
+    const extras = profileExtras(profile, parsed.extras);
+    const structured = parseStructuredOutput(req.body);
+    if (structured.error) throw new InvalidRequestError(structured.error, { param: structured.param });
+    const { spec } = structured;
+
+    const resolved = await resolveAccount(req, res);
+    if (!resolved) return;
+
+    const guard = createUpstreamGuard(res);
+    const { account, conv, result, accessToken, extras: turnExtras } = await startCopilotTurn(req, {
+      account: resolved,
+      messages,
+      profile,
+      instructions: spec ? structuredInstructions(spec) : "",
+      extras,
+      attachments: parsed.attachments,
+      stream,
+      guard,
+    });
+    // structured output repairs go to the same conversation, never streamed; each one is a turn of its own
+    const repairs = { prompt: 0, completion: 0 };
+    const ask = async (prompt) => {
+      const reply = await guard.run(() =>
+        copilotChat(accessToken, conv.conversationId, prompt, requestId, { extras: turnExtras, signal: guard.signal })
+      );
+      conv.turns++;
+      const text = extractTextFromMessage(pickResponseMessage(reply, prompt));
+      repairs.prompt += await countTextTokens(prompt);
+      repairs.completion += await countTextTokens(text);
+      return text;
+    };
+
+    if (!stream) {
+      const msg = pickResponseMessage(result, conv.prompt);
+      const citations = extractCitations(msg);
+      let text = extractTextFromMessage(msg) || "";
+      if (!text) incCounter("copilot_empty_responses_total", { route: req.route.path, stream: "false" });
+      const answer = spec ? await resolveStructuredAnswer(text, spec, { ask, requestId }) : { content: text };
+      let message;
+      if (answer.toolCalls) {
+        text = toolCallsToText(answer.toolCalls);
+        message = { role: "assistant", content: null, tool_calls: answer.toolCalls };
+      } else {
+        text = answer.content;
+        if (!spec?.format && wantsCitationFootnotes(req.body)) text += formatCitationFootnotes(citations);
+        message = { role: "assistant", content: text };
+        if (citations.length && !spec?.format) message.annotations = buildCitationAnnotations(text, citations);
+      }
+      auditNote(req, { answer: text, citations });
+      await saveConversation(conv, account, messages, text);
+      const usage = await tokenUsage(conv.prompt, text, repairs);
+      await recordUsage(req, usage);
+      res.setHeader("x-copilot-conversation-id", conv.conversationId);
+      return res.json({
+        id: `chatcmpl_${crypto.randomUUID()}`,
+        object: "chat.completion",
+        created: nowUnix(),
+        model,
+        choices: [{ index: 0, message, finish_reason: answer.toolCalls ? "tool_calls" : "stop" }],
+        usage,
+      });
+    }
+
+    // stream mode
+    const upstream = result;
+    const { conversationId, prompt } = conv;
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "x-copilot-conversation-id": conversationId,
+    });
+    const stopKeepAlive = startSseKeepAlive(res, SSE_KEEPALIVE_MS);
+    // stream_options.include_usage: every chunk carries usage: null, the totals follow in a last chunk without choices
+    const includeUsage = req.body?.stream_options?.include_usage === true;
+    const chunkBase = () => ({ id: `chatcmpl_${conversationId}`, object: "chat.completion.chunk", created: nowUnix(), model });
+
+    const sendChunk = (delta) => {
+      const chunk = { ...chunkBase(), choices: [{ index: 0, delta, finish_reason: null }] };
+      if (includeUsage) chunk.usage = null;
+      res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+    };
+    const sendDelta = (delta) => sendChunk({ content: delta });
+
+    const sendStop = async (delta = {}, finishReason = "stop") => {
+      const usage = await tokenUsage(prompt, fullText, repairs);
+      await recordUsage(req, usage);
+      const chunk = { ...chunkBase(), choices: [{ index: 0, delta, finish_reason: finishReason }] };
+      if (includeUsage) chunk.usage = null;
+      res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+      if (includeUsage) res.write(`data: ${JSON.stringify({ ...chunkBase(), choices: [], usage })}\n\n`);
+      res.write("data: [DONE]\n\n");
+      stopKeepAlive();
+      res.end();
+    };
+
+    let { fullText, citations, aborted, streamError } = await readCopilotStream(upstream, {
+      requestId,
+      conversationId,
+      prompt,
+      // structured output is validated as a whole, so it is buffered and sent in one piece
+      onDelta: spec ? () => {} : sendDelta,
+      guard,
+      route: req.route.path,
+      startedAt: req.startedAt,
+    });
+
+    auditNote(req, { answer: fullText, citations });
+    if (aborted || streamError) {
+      // the prompt reached Copilot, so an early end still counts towards the quota
+      await recordUsage(req, await tokenUsage(prompt, fullText, repairs));
+      if (aborted instanceof ClientClosedError) return;
+      stopKeepAlive();
+      return writeStreamError(req, res, aborted || streamError);
+    }
+
+    if (spec) {
+      const answer = await resolveStructuredAnswer(fullText, spec, { ask, requestId });
+      fullText = answer.toolCalls ? toolCallsToText(answer.toolCalls) : answer.content;
+      auditNote(req, { answer: fullText });
+      await saveConversation(conv, account, messages, fullText);
+      if (!answer.toolCalls) {
+        sendDelta(fullText);
+        return await sendStop();
+      }
+      sendChunk({ role: "assistant", content: null, tool_calls: answer.toolCalls.map((c, index) => ({ index, ...c })) });
+      return await sendStop({}, "tool_calls");
+    }
+
+    if (!fullText && EMPTY_RESPONSE_HINT) sendDelta(EMPTY_HINT_TEXT);
+
+    const footnotes = fullText && wantsCitationFootnotes(req.body) ? formatCitationFootnotes(citations) : "";
+    if (footnotes) {
+      sendDelta(footnotes);
+      fullText += footnotes;
+    }
+
+    await saveConversation(conv, account, messages, fullText);
+    await sendStop(citations.length ? { annotations: buildCitationAnnotations(fullText, citations) } : {});
+  } catch (err) {
+    next(err);
+  }
+}
+
+app.post("/v1/chat/completions", handleChatCompletion);
+
+// =======================
+// OpenAI Responses API
+// =======================
+// resp:<responseId> -> { conversationId, turns, model, homeAccountId, pool } (lets previous_response_id continue a conversation).
+// Other accounts only see the id when it was produced in the same pool; the conversation itself lives in the
+// account that produced it, so a request that lands on another member starts a fresh one.
+function responsesContentToText(content) {
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return contentToText(content);
+  return content
+    .map((p) => (typeof p?.text === "string" ? p.text : contentToText(p)))
+    .join("\n");
+}
+
+// maps Responses `input` (string or item list) onto chat-style messages
+function responsesInputToMessages(input, instructions) {
+  const messages = [];
+  if (typeof instructions === "string" && instructions.trim()) messages.push({ role: "system", content: instructions });
+  if (typeof input === "string") {
+    messages.push({ role: "user", content: input });
+    return messages;
+  }
+  for (const item of Array.isArray(input) ? input : []) {
+    if (!item || typeof item !== "object") continue;
+    if (item.type === "function_call_output") {
+      messages.push({ role: "tool", content: contentToText(item.output) });
+    } else if (!item.type || item.type === "message") {
+      const role = item.role === "developer" ? "system" : item.role || "user";
+      messages.push({ role, content: keepAttachmentParts(item.content, responsesContentToText) });
+    }
+  }
+  return messages;
+}
+
+// Responses annotations are the flat variant of chat completion url_citation entries
+function responsesAnnotations(text, citations) {
+  return buildCitationAnnotations(text, citations || []).map((a) => ({ type: a.type, ...a.url_citation }));
+}
+
+function buildResponseObject({ id, model, status, text, citations, previousResponseId, instructions, messageId, usage }) {
+  const output =
+    text == null
+      ? []
+      : [
+          {
+            type: "message",
+            id: messageId,
+            status,
+            role: "assistant",
+            content: [{ type: "output_text", text, annotations: responsesAnnotations(text, citations) }],
+          },
+        ];
+  return {
+    id,
+    object: "response",
+    created_at: nowUnix(),
+    status,
+    model,
+    instructions: instructions ?? null,
+    previous_response_id: previousResponseId ?? null,
+    output,
+    output_text: text ?? "",
+    usage: usage
+      ? { input_tokens: usage.prompt_tokens, output_tokens: usage.completion_tokens, total_tokens: usage.total_tokens }
+      : null,
+  };
+}
+
+app.post("/v1/responses", async (req, res, next) => {
+  try {
+    if (!(await requireGatewayToken(req, res, "chat"))) return;
+
+    const requestId = req.requestId;
+    const { model = MODEL_DEFAULT, input, instructions, stream = false, previous_response_id: previousResponseId } = req.body || {};
+    const profile = await resolveModel(req);
+    const parsed = parseCopilotExtras(req.body?.copilot, responsesInputToMessages(input, instructions));
+    if (parsed.error) throw new InvalidRequestError(parsed.error, { param: parsed.param });
+    const { messages } = parsed;
+    const extras = profileExtras(profile, parsed.extras);
+    if (!messages.some((m) => m.role !== "system")) {
+      throw new InvalidRequestError("input must be a string or a non-empty list of input items", { param: "input" });
+    }
+
+    const resolved = await resolveAccount(req, res);
+    if (!resolved) return;
+
+    let previous = null;
+    if (previousResponseId) {
+      previous = await redisGetJson(`resp:${previousResponseId}`);
+      const visible = previous && (previous.homeAccountId === resolved.homeAccountId || (req.pool && previous.pool === req.pool.name));
+      if (!visible) {
+        throw new NotFoundError(`Previous response with id '${safeString(previousResponseId, 80)}' not found.`, { param: "previous_response_id" });
+      }
+    }
+
+    const guard = createUpstreamGuard(res);
+    const { account, conv, result } = await withAccountFailover(req, resolved, async (account) => {
+      const accessToken = await acquireAccessToken({ account, requestId });
+      const uploaded = parsed.attachments.length
+        ? await guard.run(() => uploadAttachments(req, account, parsed.attachments, guard.signal))
+        : [];
+      const convCtx = { accessToken, requestId, messages, profile };
+      let opened;
+      if (previous?.homeAccountId === account.homeAccountId) {
+        const system = messages.filter((m) => m.role === "system").map((m) => formatRole("system", m.content, profile));
+        const prompt = [...system, buildFollowUpPrompt(messages, profile)].filter(Boolean).join("\n");
+        opened = { conversationId: previous.conversationId, prompt, reused: true, turns: previous.turns || 0, explicitKey: null, enabled: false };
+      } else {
+        if (previous) log("warn", "responses.previous.moved", { requestId, previousResponseId, pool: req.pool?.name, keyId: req.userKeyId });
+        opened = await newConversation(convCtx);
+      }
+      auditNote(req, { conversationId: opened.conversationId, prompt: opened.prompt });
+      const call = stream ? copilotChatOverStream : copilotChat;
+      const { conv, result } = await guard.run(() =>
+        withConversation(opened, convCtx, (c) =>
+          call(accessToken, c.conversationId, c.prompt, requestId, { extras: withContextFiles(extras, uploaded), signal: guard.signal })
+        )
+      );
+      auditNote(req, { conversationId: conv.conversationId });
+      return { account, conv, result };
+    });
+    const { conversationId, prompt } = conv;
+
+    const responseId = `resp_${crypto.randomBytes(16).toString("hex")}`;
+    const messageId = `msg_${crypto.randomBytes(16).toString("hex")}`;
+    const base = { id: responseId, model, previousResponseId, instructions, messageId };
+    const remember = async (text) => {
+      await redisSetJson(
+        `resp:${responseId}`,
+        {
+          conversationId,
+          turns: conv.turns + 1,
+          model,
+          homeAccountId: account.homeAccountId,
+          pool: req.pool?.name || null,
+          createdAt: Date.now(),
+          chars: text.length,
+        },
+        CONVERSATION_TTL
+      );
+      await rememberPoolAffinity(req, responseId);
+    };
+
+    if (!stream) {
+      const msg = pickResponseMessage(result, prompt);
+      const citations = extractCitations(msg);
+      let text = extractTextFromMessage(msg) || "";
+      if (!text) incCounter("copilot_empty_responses_total", { route: req.route.path, stream: "false" });
+      if (wantsCitationFootnotes(req.body)) text += formatCitationFootnotes(citations);
+      auditNote(req, { answer: text, citations });
+      await remember(text);
+      const usage = await tokenUsage(prompt, text);
+      await recordUsage(req, usage);
+      res.setHeader("x-copilot-conversation-id", conversationId);
+      return res.json(buildResponseObject({ ...base, status: "completed", text, citations, usage }));
+    }
+
+    const upstream = result;
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "x-copilot-conversation-id": conversationId,
+    });
+    const stopKeepAlive = startSseKeepAlive(res, SSE_KEEPALIVE_MS);
+
+    let seq = 0;
+    const send = (type, fields) => {
+      res.write(`event: ${type}\ndata: ${JSON.stringify({ type, sequence_number: seq++, ...fields })}\n\n`);
+    };
+    const part = (text) => ({ type: "output_text", text, annotations: [] });
+    const item = (status, text) => ({ type: "message", id: messageId, status, role: "assistant", content: text == null ? [] : [part(text)] });
+    const pos = { item_id: messageId, output_index: 0, content_index: 0 };
+
+    send("response.created", { response: buildResponseObject({ ...base, status: "in_progress", text: null }) });
+    send("response.in_progress", { response: buildResponseObject({ ...base, status: "in_progress", text: null }) });
+    send("response.output_item.added", { output_index: 0, item: item("in_progress", null) });
+    send("response.content_part.added", { ...pos, part: part("") });
+
+    const sendDelta = (delta) => send("response.output_text.delta", { ...pos, delta });
+    let { fullText, citations, aborted, streamError } = await readCopilotStream(upstream, {
+      requestId,
+      conversationId,
+      prompt,
+      onDelta: sendDelta,
+      guard,
+      route: req.route.path,
+      startedAt: req.startedAt,
+    });
+
+    auditNote(req, { answer: fullText, citations });
+    if (aborted || streamError) {
+      await recordUsage(req, await tokenUsage(prompt, fullText));
+      if (aborted instanceof ClientClosedError) return;
+      stopKeepAlive();
+      return writeStreamError(req, res, aborted || streamError);
+    }
+
+    if (!fullText && EMPTY_RESPONSE_HINT) {
+      sendDelta(EMPTY_HINT_TEXT);
+      fullText = EMPTY_HINT_TEXT;
+    } else if (wantsCitationFootnotes(req.body) && citations.length) {
+      const footnotes = formatCitationFootnotes(citations);
+      sendDelta(footnotes);
+      fullText += footnotes;
+    }
+
+    const annotations = responsesAnnotations(fullText, citations);
+    annotations.forEach((annotation, annotation_index) =>
+      send("response.output_text.annotation.added", { ...pos, annotation_index, annotation })
+    );
+    send("response.output_text.done", { ...pos, text: fullText });
+    send("response.content_part.done", { ...pos, part: { ...part(fullText), annotations } });
+    send("response.output_item.done", { output_index: 0, item: { ...item("completed", null), content: [{ ...part(fullText), annotations }] } });
+    await remember(fullText);
+    const usage = await tokenUsage(prompt, fullText);
+    await recordUsage(req, usage);
+    send("response.completed", { response: buildResponseObject({ ...base, status: "completed", text: fullText, citations, usage }) });
+    stopKeepAlive();
+    res.end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// =======================
+// Anthropic Messages API
+// =======================
+function anthropicContentToText(content) {
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return contentToText(content);
+  return content
+    .map((b) => {
+      if (b?.type === "text") return b.text;
+      if (b?.type === "tool_result") return anthropicContentToText(b.content ?? "");
+      return contentToText(b);
+    })
+    .join("\n");
+}
+
+function anthropicToMessages(system, messages) {
+  const out = [];
+  const sys = anthropicContentToText(system ?? "");
+  if (sys.trim()) out.push({ role: "system", content: sys });
+  for (const m of Array.isArray(messages) ? messages : []) {
+    out.push({ role: m?.role === "assistant" ? "assistant" : "user", content: keepAttachmentParts(m?.content ?? "", anthropicContentToText) });
+  }
+  return out;
+}
+
+app.post("/v1/messages", async (req, res, next) => {
+  try {
+    if (!(await requireGatewayToken(req, res, "chat"))) return;
+
+    const requestId = req.requestId;
+    const { model = MODEL_DEFAULT, system, messages: input = [], stream = false } = req.body || {};
+    const profile = await resolveModel(req);
+    const parsed = parseCopilotExtras(req.body?.copilot, anthropicToMessages(system, input));
+    if (parsed.error) throw new InvalidRequestError(parsed.error, { param: parsed.param });
+    const { messages } = parsed;
+    const extras = profileExtras(profile, parsed.extras);
+
+    const resolved = await resolveAccount(req, res);
+    if (!resolved) return;
+
+    const messageId = `msg_${crypto.randomBytes(12).toString("hex")}`;
+    const guard = createUpstreamGuard(res);
+    const { account, conv, result } = await startCopilotTurn(req, {
+      account: resolved,
+      messages,
+      profile,
+      extras,
+      attachments: parsed.attachments,
+      stream,
+      guard,
+    });
+
+    if (!stream) {
+      const text = extractBestTextFromEvent(result, conv.prompt) || "";
+      if (!text) incCounter("copilot_empty_responses_total", { route: req.route.path, stream: "false" });
+      auditNote(req, { answer: text });
+      await saveConversation(conv, account, messages, text);
+      const usage = await tokenUsage(conv.prompt, text);
+      await recordUsage(req, usage);
+      res.setHeader("x-copilot-conversation-id", conv.conversationId);
+      return res.json({
+        id: messageId,
+        type: "message",
+        role: "assistant",
+        model,
+        content: [{ type: "text", text }],
+        stop_reason: "end_turn",
+        stop_sequence: null,
+        usage: { input_tokens: usage.prompt_tokens, output_tokens: usage.completion_tokens },
+      });
+    }
+
+    const upstream = result;
+    const { conversationId, prompt } = conv;
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "x-copilot-conversation-id": conversationId,
+    });
+    const stopKeepAlive = startSseKeepAlive(res, SSE_KEEPALIVE_MS);
+
+    const send = (type, fields) => res.write(`event: ${type}\ndata: ${JSON.stringify({ type, ...fields })}\n\n`);
+    const sendDelta = (text) => send("content_block_delta", { index: 0, delta: { type: "text_delta", text } });
+
+    // the prompt is known up front; output tokens are only counted once the answer is complete
+    const inputTokens = await countTextTokens(prompt);
+    send("message_start", {
+      message: {
+        id: messageId,
+        type: "message",
+        role: "assistant",
+        model,
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { input_tokens: inputTokens, output_tokens: 0 },
+      },
+    });
+    send("content_block_start", { index: 0, content_block: { type: "text", text: "" } });
+    send("ping", {});
+
+    const { fullText, aborted, streamError } = await readCopilotStream(upstream, {
+      requestId,
+      conversationId,
+      prompt,
+      onDelta: sendDelta,
+      guard,
+      route: req.route.path,
+      startedAt: req.startedAt,
+    });
+    auditNote(req, { answer: fullText });
+    if (aborted || streamError) {
+      await recordUsage(req, await tokenUsage(prompt, fullText));
+      if (aborted instanceof ClientClosedError) return;
+      stopKeepAlive();
+      return writeStreamError(req, res, aborted || streamError);
     }
+    if (!fullText && EMPTY_RESPONSE_HINT) sendDelta(EMPTY_HINT_TEXT);
+
+    await saveConversation(conv, account, messages, fullText);
+    const usage = await tokenUsage(prompt, fullText);
+    await recordUsage(req, usage);
+    send("content_block_stop", { index: 0 });
+    send("message_delta", { delta: { stop_reason: "end_turn", stop_sequence: null }, usage: { output_tokens: usage.completion_tokens } });
+    send("message_stop", {});
+    stopKeepAlive();
+    res.end();
+  } catch (err) {
+    next(err);
   }
-  return null;
-}
+});
 
 // =======================
-// Graph upstream wrapper
+// Files & Batch API
 // =======================
-async function fetchGraph(requestId, url, options) {
-  const t0 = Date.now();
-  const safeOpts = {
-    method: options?.method,
-    headers: redactHeaders(options?.headers || {}),
-  };
-  log("debug", "graph.request", { requestId, url, options: safeOpts });
+// OpenAI-compatible /v1/files (JSONL uploads) and /v1/batches. Batch requests run through
+// handleChatCompletion in the background; all state lives in Redis, so any replica can pick up
+// work and progress survives restarts.
+//   file:<id> / filedata:<id>  -> hash { id, owner, filename, purpose, bytes, createdAt } / content (FILES_TTL)
+//   files:<owner>              -> zset file id by creation time
+//   batch:<id>                 -> hash: status, ms timestamps (createdAt, inProgressAt, …), total/completed/failed,
+//                                 tokenId, keyId or pool, stopping (cancelled | expired), JSON metadata / errors
+//   batches:<owner>            -> zset batch id by creation time
+//   batches:active             -> set of batches with work left
+//   batchreqs:<id>             -> list of input lines { custom_id, body }
+//   batchpending:<id>          -> zset line index -> not before (ms)
+//   batchleased:<id>           -> zset line index -> lease expiry (ms); expired leases (crashed worker) are requeued
+//   batchslots:<home>          -> zset "<batchId>:<index>" -> lease expiry, caps in-flight batch requests per account
+//   batchout:<id> / batcherr:<id> -> hash line index -> output / error line
+//   batchtries:<id>            -> hash line index -> failed attempts
+// <owner> is "<gateway token id>:<user key id>" ("-" without a key, only for gateway tokens issued to one
+// client), callers only see their own objects.
+const BATCH_ENDPOINTS = ["/v1/chat/completions"];
+const BATCH_COMPLETION_WINDOWS = { "24h": 24 * 3600 * 1000 };
+const BATCH_POLL_MS = 1000;
+const BATCH_LEASE_MS = (COPILOT_TIMEOUT_MS > 0 ? COPILOT_TIMEOUT_MS : 30 * 60 * 1000) + 60000;
+const BATCH_FINALIZE_STALE_MS = 10 * 60 * 1000;
 
-  const res = await fetch(url, options);
-  const ms = Date.now() - t0;
-  const graphReqId = res.headers.get("request-id") || res.headers.get("client-request-id");
-  log("info", "graph.response", { requestId, url, status: res.status, ms, graphReqId });
-  return res;
+// takes the next due line of an in-progress batch unless its account is at BATCH_CONCURRENCY
+redis.defineCommand("gwBatchClaim", {
+  numberOfKeys: 4,
+  lua: `
+local now, lease, limit = tonumber(ARGV[1]), tonumber(ARGV[2]), tonumber(ARGV[3])
+if redis.call('HGET', KEYS[1], 'status') ~= 'in_progress' or redis.call('HGET', KEYS[1], 'stopping') then return false end
+for _, idx in ipairs(redis.call('ZRANGEBYSCORE', KEYS[3], '-inf', now)) do
+  redis.call('ZREM', KEYS[3], idx)
+  redis.call('ZADD', KEYS[2], now, idx)
+end
+redis.call('ZREMRANGEBYSCORE', KEYS[4], '-inf', now)
+if limit > 0 and redis.call('ZCARD', KEYS[4]) >= limit then return false end
+local idx = redis.call('ZRANGEBYSCORE', KEYS[2], '-inf', now, 'LIMIT', 0, 1)[1]
+if not idx then return false end
+redis.call('ZREM', KEYS[2], idx)
+redis.call('ZADD', KEYS[3], now + lease, idx)
+redis.call('ZADD', KEYS[4], now + lease, ARGV[4] .. ':' .. idx)
+return idx`,
+});
+
+// records a finished line once (a line whose lease ran out may run twice); 1 when it was the last one
+redis.defineCommand("gwBatchFinish", {
+  numberOfKeys: 5,
+  lua: `
+redis.call('ZREM', KEYS[2], ARGV[1])
+redis.call('ZREM', KEYS[3], ARGV[2])
+if redis.call('HGET', KEYS[1], 'finalizingAt') then return -1 end
+if redis.call('HEXISTS', KEYS[4], ARGV[1]) == 1 or redis.call('HEXISTS', KEYS[5], ARGV[1]) == 1 then return -1 end
+redis.call('HSET', ARGV[3] == 'out' and KEYS[4] or KEYS[5], ARGV[1], ARGV[4])
+redis.call('HINCRBY', KEYS[1], ARGV[3] == 'out' and 'completed' or 'failed', 1)
+local h = redis.call('HMGET', KEYS[1], 'total', 'completed', 'failed')
+if tonumber(h[2]) + tonumber(h[3]) >= tonumber(h[1]) then return 1 end
+return 0`,
+});
+
+// Stand-in for http.ServerResponse, so batch requests run through the regular route handler
+// (rate limits, key health, usage and audit all hook into res "close").
+class BatchItemResponse extends EventEmitter {
+  constructor() {
+    super();
+    this.statusCode = 200;
+    this.locals = {};
+    this.headers = {};
+    this.body = undefined;
+    this.headersSent = false;
+    this.writableEnded = false;
+    this.writableFinished = false;
+    this.destroyed = false;
+  }
+  setHeader(name, value) {
+    this.headers[name.toLowerCase()] = value;
+    return this;
+  }
+  getHeader(name) {
+    return this.headers[name.toLowerCase()];
+  }
+  status(code) {
+    this.statusCode = code;
+    return this;
+  }
+  json(body) {
+    this.body = body;
+    return this.end();
+  }
+  end() {
+    if (this.writableEnded) return this;
+    this.headersSent = this.writableEnded = this.writableFinished = true;
+    this.emit("finish");
+    this.emit("close");
+    return this;
+  }
 }
 
-async function createCopilotConversation(accessToken, requestId) {
-  const res = await fetchGraph(
-    requestId,
-    "https://graph.microsoft.com/beta/copilot/conversations",
-    {
-      method: "POST",
-      headers: { Authorization: `Bearer ${accessToken}`, "Content-Type": "application/json" },
-      body: JSON.stringify({}),
+// who owns files and batches of this request; batches additionally need the key id to run as
+async function apiOwner(req) {
+  const ctx = getUserContext(req);
+  const tokenId = req.gatewayToken.id;
+  if (ctx?.type === "session") return { owner: `${tokenId}:s${sha256Hex(ctx.account.homeAccountId).slice(0, 16)}`, keyId: null, session: true };
+  if (ctx?.type !== "userkey") {
+    // the anonymous and API_BEARER_TOKEN identities are shared by every caller, so they would see each other's objects
+    if (tokenId === "anonymous" || tokenId === "env") {
+      throw new AuthenticationError("Files and batches need an X-User-Key or a gateway token of your own.", { param: "x-user-key" });
     }
-  );
-  if (!res.ok) {
-    const txt = await res.text();
-    log("error", "graph.createConversation.failed", { requestId, status: res.status, body: safeString(txt, 1200) });
-    throw new Error(`Create conversation failed: ${res.status} ${txt}`);
+    return { owner: `${tokenId}:-`, keyId: null };
   }
-  return await res.json();
+  if (!(await getAccountByUserKey(ctx.userKey))) throw new AuthenticationError("Invalid X-User-Key or expired.", { param: "x-user-key" });
+  const keyId = userKeyId(ctx.userKey);
+  return { owner: `${tokenId}:${keyId}`, keyId };
 }
 
-async function copilotChat(accessToken, conversationId, prompt, requestId) {
-  const res = await fetchGraph(
-    requestId,
-    `https://graph.microsoft.com/beta/copilot/conversations/${conversationId}/chat`,
-    {
-      method: "POST",
-      headers: { Authorization: `Bearer ${accessToken}`, "Content-Type": "application/json" },
-      body: JSON.stringify({
-        message: { text: prompt },
-        locationHint: { timeZone: TIME_ZONE, countryOrRegion: COUNTRY_OR_REGION },
-      }),
+function parseListQuery(q, dflt, max) {
+  return {
+    limit: Math.min(Math.max(parseInt(q.limit || String(dflt), 10) || dflt, 1), max),
+    after: typeof q.after === "string" && q.after ? q.after : null,
+  };
+}
+
+// newest first; `after` is the last id of the previous page. Ids whose object expired are dropped from the index.
+// Ids created in the same ms share a score and sort by id, so a page starts at `after`'s score and skips up to it.
+async function listOwned(indexKey, prefix, { limit, after, match = () => true }) {
+  let max = "+inf";
+  if (after) {
+    const score = await redis.zscore(indexKey, after);
+    if (score == null) return { rows: [], hasMore: false };
+    max = score;
+  }
+  const rows = [];
+  const stale = [];
+  let skipping = !!after;
+  for (let offset = 0; rows.length <= limit; ) {
+    let ids = await redis.zrevrangebyscore(indexKey, max, "-inf", "LIMIT", offset, limit + 1);
+    if (!ids.length) break;
+    offset += ids.length;
+    if (skipping) {
+      const i = ids.indexOf(after);
+      if (i === -1) continue;
+      ids = ids.slice(i + 1);
+      skipping = false;
     }
-  );
-  if (!res.ok) {
-    const txt = await res.text();
-    log("error", "graph.chat.failed", { requestId, conversationId, status: res.status, body: safeString(txt, 1800) });
-    throw new Error(`Chat failed: ${res.status} ${txt}`);
+    const p = redis.pipeline();
+    for (const id of ids) p.hgetall(`${prefix}${id}`);
+    const hs = await p.exec();
+    ids.forEach((id, i) => {
+      const h = hs[i][1];
+      if (!h?.id) stale.push(id);
+      else if (rows.length <= limit && match(h)) rows.push(h);
+    });
   }
-  return await res.json();
+  if (stale.length) await redis.zrem(indexKey, ...stale);
+  return { rows: rows.slice(0, limit), hasMore: rows.length > limit };
 }
 
-async function copilotChatOverStream(accessToken, conversationId, prompt, requestId) {
-  const res = await fetchGraph(
-    requestId,
-    `https://graph.microsoft.com/beta/copilot/conversations/${conversationId}/chatOverStream`,
-    {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-        "Content-Type": "application/json",
-        Accept: "text/event-stream",
-      },
-      body: JSON.stringify({
-        message: { text: prompt },
-        locationHint: { timeZone: TIME_ZONE, countryOrRegion: COUNTRY_OR_REGION },
-      }),
+function presentList(data, hasMore) {
+  return { object: "list", data, first_id: data[0]?.id ?? null, last_id: data[data.length - 1]?.id ?? null, has_more: hasMore };
+}
+
+// buffers the "file" part of a multipart/form-data upload (up to FILES_MAX_BYTES) and collects plain fields
+function readMultipartFile(req) {
+  return new Promise((resolve, reject) => {
+    let bb;
+    try {
+      bb = busboy({ headers: req.headers, limits: { files: 1, fields: 20, fileSize: FILES_MAX_BYTES } });
+    } catch {
+      return reject(new InvalidRequestError("Expected a multipart/form-data body with a 'file' field.", { param: "file" }));
     }
-  );
-  if (!res.ok) {
-    const txt = await res.text();
-    log("error", "graph.chatOverStream.failed", { requestId, conversationId, status: res.status, body: safeString(txt, 1800) });
-    throw new Error(`ChatOverStream failed: ${res.status} ${txt}`);
+    const fields = {};
+    let file = null;
+    bb.on("field", (name, value) => (fields[name] = value));
+    bb.on("file", (name, stream, info) => {
+      if (name !== "file") return stream.resume();
+      const chunks = [];
+      stream.on("data", (c) => chunks.push(c));
+      stream.on("limit", () => reject(new InvalidRequestError(`File exceeds the maximum size of ${FILES_MAX_BYTES} bytes.`, { param: "file" })));
+      stream.on("end", () => (file = { filename: info.filename || "upload.jsonl", data: Buffer.concat(chunks) }));
+    });
+    bb.on("error", (e) => reject(new InvalidRequestError(`Malformed multipart body: ${safeString(e?.message, 200)}`)));
+    bb.on("close", () => resolve({ fields, file }));
+    req.pipe(bb);
+  });
+}
+
+async function storeFile(owner, { filename, purpose, data }) {
+  const id = `file-${crypto.randomBytes(12).toString("hex")}`;
+  const h = { id, owner, filename: String(filename).slice(0, 255), purpose, bytes: String(data.length), createdAt: String(Date.now()) };
+  await redis
+    .multi()
+    .hset(`file:${id}`, h)
+    .expire(`file:${id}`, FILES_TTL)
+    .set(`filedata:${id}`, data, "EX", FILES_TTL)
+    .zadd(`files:${owner}`, h.createdAt, id)
+    .expire(`files:${owner}`, FILES_TTL)
+    .exec();
+  return h;
+}
+
+async function getOwnedFile(owner, id, param = null) {
+  const h = await redis.hgetall(`file:${id}`);
+  if (!h?.id || h.owner !== owner) throw new NotFoundError(`No such File object: ${safeString(id, 80)}`, { param });
+  return h;
+}
+
+function presentFile(h) {
+  const created = Math.floor(Number(h.createdAt) / 1000);
+  return {
+    id: h.id,
+    object: "file",
+    bytes: Number(h.bytes),
+    created_at: created,
+    expires_at: created + FILES_TTL,
+    filename: h.filename,
+    purpose: h.purpose,
+    status: "processed",
+    status_details: null,
+  };
+}
+
+function presentBatch(h) {
+  const sec = (v) => (v ? Math.floor(Number(v) / 1000) : null);
+  return {
+    id: h.id,
+    object: "batch",
+    endpoint: h.endpoint,
+    errors: h.errors ? { object: "list", data: JSON.parse(h.errors) } : null,
+    input_file_id: h.inputFileId,
+    completion_window: h.completionWindow,
+    status: h.status,
+    output_file_id: h.outputFileId || null,
+    error_file_id: h.errorFileId || null,
+    created_at: sec(h.createdAt),
+    in_progress_at: sec(h.inProgressAt),
+    expires_at: sec(h.expiresAt),
+    finalizing_at: sec(h.finalizingAt),
+    completed_at: sec(h.completedAt),
+    failed_at: sec(h.failedAt),
+    expired_at: sec(h.expiredAt),
+    cancelling_at: sec(h.cancellingAt),
+    cancelled_at: sec(h.cancelledAt),
+    request_counts: { total: Number(h.total || 0), completed: Number(h.completed || 0), failed: Number(h.failed || 0) },
+    metadata: h.metadata ? JSON.parse(h.metadata) : null,
+  };
+}
+
+// batches without an X-User-Key run through the one pool all of their requests route to
+async function batchPool(req, lines) {
+  const models = [...new Set(lines.map((l) => l.body.model))];
+  const pools = await Promise.all(models.map((model) => findPoolForRequest({ body: { model }, gatewayToken: req.gatewayToken })));
+  if (pools.some((p) => !p)) throw new AuthenticationError("No user context. Use X-User-Key.", { param: "x-user-key" });
+  const names = [...new Set(pools.map((p) => p.name))];
+  if (names.length > 1) {
+    throw new InvalidRequestError(`Requests of one batch must all route to the same account pool (got ${names.join(", ")}).`, { param: "input_file_id" });
   }
-  return res;
+  return names[0];
 }
 
-// =======================
-// Routes
-// =======================
-app.get("/v1/models", (req, res) => {
-  if (!requireGatewayToken(req, res)) return;
-  res.json({
-    object: "list",
-    data: [
-      { id: "auto", object: "model", created: 0, owned_by: "gateway" },
-      { id: "fast", object: "model", created: 0, owned_by: "gateway" },
-      { id: "deep", object: "model", created: 0, owned_by: "gateway" },
-      { id: "gpt-5.2-fast", object: "model", created: 0, owned_by: "gateway" },
-      { id: "gpt-5.2-deep", object: "model", created: 0, owned_by: "gateway" },
-    ],
-  });
-});
+// Slots are per Copilot account, shared by every batch and key running on it. A pool batch gets one slot
+// set per healthy member and pins each line to the member it was claimed for. Without a resolvable account
+// the lines still run (and fail through the regular route) under a slot set of the batch's own.
+async function batchSlots(b) {
+  if (b.keyId) {
+    const home = await redis.hget(`keymeta:${b.keyId}`, "homeAccountId");
+    return [{ key: home ? `batchslots:${home}` : `batchslots:key:${b.keyId}`, member: null }];
+  }
+  const pool = await getPool(b.pool);
+  const members = pool ? (await loadPoolMembers(pool)).filter((m) => m.meta && !m.ejected) : [];
+  if (!members.length) return [{ key: `batchslots:pool:${b.pool}`, member: null }];
+  const byAccount = new Map();
+  for (const m of members) if (!byAccount.has(m.meta.homeAccountId)) byAccount.set(m.meta.homeAccountId, m.id);
+  return [...byAccount].map(([home, member]) => ({ key: `batchslots:${home}`, member }));
+}
 
-function getUserContext(req) {
-  const userKey = req.headers["x-user-key"];
-  if (typeof userKey === "string" && userKey.length > 10) return { type: "userkey", userKey };
-  if (req.session?.account?.homeAccountId) return { type: "session", account: req.session.account };
-  return null;
+// The gateway's own limits (rate limit, token quota) only delay a request, unless they reset after the
+// completion window; other retryable errors are retried up to BATCH_MAX_ATTEMPTS times with backoff.
+// null = record the response as it is.
+async function batchRetryDelay(err, b, index) {
+  if (!err) return null;
+  const hinted = Number(err.retryAfter) * 1000 || 0;
+  if (err instanceof RateLimitError || err instanceof QuotaExceededError) {
+    const delay = Math.max(1000, hinted);
+    return Date.now() + delay < Number(b.expiresAt) ? delay : null;
+  }
+  if (!err.retryable) return null;
+  const tries = await redis.hincrby(`batchtries:${b.id}`, index, 1);
+  if (tries >= BATCH_MAX_ATTEMPTS) return null;
+  return hinted || Math.min(60000, 5000 * 2 ** (tries - 1));
 }
 
-// Device code start/status (kept from earlier versions)
-app.post("/auth/device/start", async (req, res) => {
-  const requestId = req.requestId;
-  const txId = crypto.randomUUID();
-  const createdAt = Date.now();
-  let infoResolve;
-  const infoPromise = new Promise((resolve) => (infoResolve = resolve));
+async function runBatchItem(b, index, slot) {
+  const id = b.id;
+  const slotKey = slot.key;
+  const line = JSON.parse(await redis.lindex(`batchreqs:${id}`, index));
+  const req = {
+    method: "POST",
+    path: b.endpoint,
+    originalUrl: b.endpoint,
+    route: { path: b.endpoint },
+    headers: {},
+    body: { ...line.body, stream: false },
+    requestId: crypto.randomUUID(),
+    slotId: crypto.randomUUID(),
+    startedAt: Date.now(),
+    batchOwner: { tokenId: b.tokenId, keyId: b.keyId || null, poolMember: slot.member },
+  };
+  const res = new BatchItemResponse();
+  if (auditSink) auditMiddleware(req, res, () => {});
+  await handleChatCompletion(req, res, (err) => handleError(err, req, res, () => {}));
+  if (!res.writableEnded) sendError(req, res, new UpstreamError("The request ended without a response."));
 
-  (async () => {
-    try {
-      const result = await msal.acquireTokenByDeviceCode({
-        scopes: SCOPES,
-        deviceCodeCallback: async (response) => {
-          const deviceInfo = {
-            txId,
-            status: "pending",
-            createdAt,
-            user_code: response.userCode,
-            verification_uri: response.verificationUri,
-            message: response.message,
-            expires_in: response.expiresIn,
-            interval: response.interval,
-          };
-          await redisSetJson(`devtx:${txId}`, deviceInfo, response.expiresIn);
-          infoResolve(deviceInfo);
-          log("info", "auth.device.pending", { requestId, txId, expiresIn: response.expiresIn });
-        },
-      });
+  const err = res.locals.error;
+  const delay = await batchRetryDelay(err, b, index);
+  if (delay != null) {
+    await redis
+      .multi()
+      .zrem(`batchleased:${id}`, index)
+      .zrem(slotKey, `${id}:${index}`)
+      .zadd(`batchpending:${id}`, Date.now() + delay, index)
+      .exec();
+    incCounter("gateway_batch_requests_total", { outcome: "retried" });
+    log("info", "batch.request.retry", { requestId: req.requestId, batchId: id, index, code: err.code, delayMs: delay });
+    return;
+  }
 
-      const account = result.account;
-      if (!account?.homeAccountId) throw new Error("No account in device code result");
+  const ok = res.statusCode < 400;
+  const out = {
+    id: `batch_req_${crypto.randomBytes(12).toString("hex")}`,
+    custom_id: line.custom_id,
+    response: { status_code: res.statusCode, request_id: req.requestId, body: res.body },
+    error: null,
+  };
+  const last = await redis.gwBatchFinish(
+    `batch:${id}`,
+    `batchleased:${id}`,
+    slotKey,
+    `batchout:${id}`,
+    `batcherr:${id}`,
+    index,
+    `${id}:${index}`,
+    ok ? "out" : "err",
+    JSON.stringify(out)
+  );
+  if (last < 0) return;
+  incCounter("gateway_batch_requests_total", { outcome: ok ? "completed" : "failed" });
+  log("info", "batch.request", { requestId: req.requestId, batchId: id, index, status: res.statusCode, code: err?.code });
+  if (last === 1) await finalizeBatch(id);
+  else if (await redis.hget(`batch:${id}`, "stopping")) await settleStoppedBatch(id);
+}
 
-      await saveMsalCache(account.homeAccountId, msal.getTokenCache().serialize());
-      await redisSetJson(`account:${account.homeAccountId}`, account);
+// writes the output / error files and moves the batch to its final status; runs once per batch
+async function finalizeBatch(id) {
+  const k = `batch:${id}`;
+  if (!(await redis.hsetnx(k, "finalizingAt", String(Date.now())))) return;
+  const b = await redis.hgetall(k);
+  if (!b.stopping) await redis.hset(k, "status", "finalizing");
+  const [out, err] = await Promise.all([redis.hgetall(`batchout:${id}`), redis.hgetall(`batcherr:${id}`)]);
+  const jsonl = (rows) => Buffer.from(Object.keys(rows).sort((x, y) => x - y).map((i) => rows[i]).join("\n") + "\n");
+  const status = b.stopping || "completed";
+  const update = { status, [`${status}At`]: String(Date.now()) };
+  if (Object.keys(out).length) {
+    update.outputFileId = (await storeFile(b.owner, { filename: `${id}_output.jsonl`, purpose: "batch_output", data: jsonl(out) })).id;
+  }
+  if (Object.keys(err).length) {
+    update.errorFileId = (await storeFile(b.owner, { filename: `${id}_error.jsonl`, purpose: "batch_output", data: jsonl(err) })).id;
+  }
+  await redis
+    .multi()
+    .hset(k, update)
+    .expire(k, FILES_TTL)
+    .srem("batches:active", id)
+    .del(`batchreqs:${id}`, `batchpending:${id}`, `batchleased:${id}`, `batchout:${id}`, `batcherr:${id}`, `batchtries:${id}`)
+    .exec();
+  log("info", "batch.finalized", { batchId: id, status, total: Number(b.total), completed: Number(b.completed), failed: Number(b.failed) });
+}
 
-      const userKey = base64url(crypto.randomBytes(24));
-      await redis.set(`userkey:${userKey}`, account.homeAccountId, "EX", 60 * 60 * 24 * 30);
+// Cancelled or expired batches take no new lines. Once nothing is in flight any more, every line of an
+// expired batch that never finished gets a batch_expired error line, then the batch is finalized.
+async function settleStoppedBatch(id) {
+  const stopping = await redis.hget(`batch:${id}`, "stopping");
+  if (!stopping || (await redis.zcount(`batchleased:${id}`, Date.now(), "+inf"))) return;
+  if (stopping === "expired") {
+    const [pending, leased] = await Promise.all([redis.zrange(`batchpending:${id}`, 0, -1), redis.zrange(`batchleased:${id}`, 0, -1)]);
+    const open = [...pending, ...leased];
+    if (open.length) {
+      const p = redis.pipeline();
+      for (const index of open) p.lindex(`batchreqs:${id}`, index);
+      const lines = await p.exec();
+      const w = redis.pipeline();
+      open.forEach((index, i) => {
+        const out = {
+          id: `batch_req_${crypto.randomBytes(12).toString("hex")}`,
+          custom_id: JSON.parse(lines[i][1] || "{}").custom_id ?? null,
+          response: null,
+          error: { code: "batch_expired", message: "This request could not be executed before the completion window expired." },
+        };
+        w.hsetnx(`batcherr:${id}`, index, JSON.stringify(out));
+      });
+      const added = (await w.exec()).filter(([, v]) => v === 1).length;
+      if (added) await redis.hincrby(`batch:${id}`, "failed", added);
+      incCounter("gateway_batch_requests_total", { outcome: "expired" }, added);
+    }
+  }
+  await finalizeBatch(id);
+}
 
-      const done = (await redisGetJson(`devtx:${txId}`)) || { txId };
-      done.status = "complete";
-      done.user_key = userKey;
-      done.completedAt = Date.now();
-      await redisSetJson(`devtx:${txId}`, done, 60 * 60 * 24);
+let batchBusy = 0;
+let batchTicking = false;
 
-      log("info", "auth.device.complete", { requestId, txId, homeAccountId: account.homeAccountId });
-    } catch (e) {
-      const cur = (await redisGetJson(`devtx:${txId}`)) || { txId };
-      cur.status = "error";
-      cur.error = String(e?.message || e);
-      await redisSetJson(`devtx:${txId}`, cur, 60 * 60);
-      log("error", "auth.device.error", { requestId, txId, err: safeString(e?.message || e) });
+// One pass over the active batches: finishes what is due (expiry, stopped or stale finalization) and
+// claims lines for free workers. Every replica runs it; the Redis scripts keep claims exclusive.
+async function batchTick() {
+  if (batchTicking || batchBusy >= BATCH_WORKERS) return;
+  batchTicking = true;
+  try {
+    const ids = await redis.smembers("batches:active");
+    for (const id of ids.sort(() => Math.random() - 0.5)) {
+      const k = `batch:${id}`;
+      const b = await redis.hgetall(k);
+      if (!b?.id) {
+        await redis.srem("batches:active", id);
+        continue;
+      }
+      const now = Date.now();
+      if (b.finalizingAt) {
+        if (now - Number(b.finalizingAt) > BATCH_FINALIZE_STALE_MS) {
+          await redis.hdel(k, "finalizingAt");
+          await finalizeBatch(id);
+        }
+        continue;
+      }
+      if (Number(b.completed) + Number(b.failed) >= Number(b.total)) {
+        await finalizeBatch(id);
+        continue;
+      }
+      if (!b.stopping && now > Number(b.expiresAt)) {
+        await redis.hset(k, "stopping", "expired");
+        b.stopping = "expired";
+        log("warn", "batch.expired", { batchId: id, total: Number(b.total), completed: Number(b.completed), failed: Number(b.failed) });
+      }
+      if (b.stopping) {
+        await settleStoppedBatch(id);
+        continue;
+      }
+      // round-robin over the batch's accounts until none of them takes another line
+      const slots = await batchSlots(b);
+      for (let claimed = true; claimed && batchBusy < BATCH_WORKERS; ) {
+        claimed = false;
+        for (const slot of slots) {
+          if (batchBusy >= BATCH_WORKERS) break;
+          const index = await redis.gwBatchClaim(k, `batchpending:${id}`, `batchleased:${id}`, slot.key, now, BATCH_LEASE_MS, BATCH_CONCURRENCY, id);
+          if (index == null) continue;
+          claimed = true;
+          batchBusy++;
+          runBatchItem(b, Number(index), slot)
+            .catch((e) => log("error", "batch.request.failed", { batchId: id, index, err: safeString(e?.message || e) }))
+            .finally(() => {
+              batchBusy--;
+              batchTick().catch(() => {});
+            });
+        }
+      }
+      if (batchBusy >= BATCH_WORKERS) break;
     }
-  })();
+  } finally {
+    batchTicking = false;
+  }
+}
 
-  const info = await infoPromise;
-  res.json(info);
-});
+if (BATCH_WORKERS > 0) {
+  setInterval(() => {
+    batchTick().catch((e) => log("error", "batch.tick.failed", { err: safeString(e?.message || e) }));
+  }, BATCH_POLL_MS).unref();
+}
 
-app.get("/auth/device/status/:txId", async (req, res) => {
-  const info = await redisGetJson(`devtx:${req.params.txId}`);
-  if (!info) return res.status(404).json({ error: { message: "txId not found" } });
-  res.json(info);
+app.post("/v1/files", async (req, res, next) => {
+  try {
+    if (!(await requireGatewayToken(req, res, "chat"))) return;
+    const { owner } = await apiOwner(req);
+    const { fields, file } = await readMultipartFile(req);
+    if (!file) throw new InvalidRequestError("Missing required parameter: 'file'.", { param: "file" });
+    if (fields.purpose !== "batch") throw new InvalidRequestError("purpose must be 'batch'.", { param: "purpose" });
+    const h = await storeFile(owner, { filename: file.filename, purpose: "batch", data: file.data });
+    log("info", "files.upload", { requestId: req.requestId, fileId: h.id, bytes: file.data.length });
+    res.json(presentFile(h));
+  } catch (err) {
+    next(err);
+  }
 });
 
-// health endpoint (redis ping + config readiness)
-app.get("/healthz", async (req, res) => {
-  const requestId = req.requestId;
-  let redisOk = false;
+app.get("/v1/files", async (req, res, next) => {
   try {
-    const pong = await redis.ping();
-    redisOk = pong === "PONG";
-  } catch (e) {
-    log("warn", "health.redis.ping.failed", { requestId, err: safeString(e?.message || e) });
+    if (!(await requireGatewayToken(req, res, "chat"))) return;
+    const { owner } = await apiOwner(req);
+    const purpose = typeof req.query.purpose === "string" && req.query.purpose ? req.query.purpose : null;
+    const { rows, hasMore } = await listOwned(`files:${owner}`, "file:", {
+      ...parseListQuery(req.query, 100, 1000),
+      match: (h) => !purpose || h.purpose === purpose,
+    });
+    res.json(presentList(rows.map(presentFile), hasMore));
+  } catch (err) {
+    next(err);
   }
-  res.json({
-    ok: true,
-    time: new Date().toISOString(),
-    redis: redisOk,
-    config: {
-      hasTenantId: !!TENANT_ID,
-      hasClientId: !!CLIENT_ID,
-      hasClientSecret: !!CLIENT_SECRET,
-      hasSessionSecret: !!SESSION_SECRET,
-      hasGatewayToken: !!API_BEARER_TOKEN,
-      redirectUri: REDIRECT_URI,
-    },
-  });
 });
 
-// Debug: last events
-app.get("/debug/last-events", async (req, res) => {
-  const key = "debug:last_events";
-  const arr = await redis.lrange(key, 0, Math.max(0, DEBUG_EVENT_LIMIT - 1));
-  const parsed = arr.map((s) => { try { return JSON.parse(s); } catch { return { raw: s }; } });
-  res.json({ count: parsed.length, events: parsed });
+app.get("/v1/files/:id", async (req, res, next) => {
+  try {
+    if (!(await requireGatewayToken(req, res, "chat"))) return;
+    const { owner } = await apiOwner(req);
+    res.json(presentFile(await getOwnedFile(owner, req.params.id)));
+  } catch (err) {
+    next(err);
+  }
 });
 
-// main OpenAI endpoint
-app.post("/v1/chat/completions", async (req, res, next) => {
+app.get("/v1/files/:id/content", async (req, res, next) => {
   try {
-    if (!requireGatewayToken(req, res)) return;
-
-    const requestId = req.requestId;
-    const { model = "auto", messages = [], stream = false } = req.body || {};
-    const mode = normalizeMode(model);
+    if (!(await requireGatewayToken(req, res, "chat"))) return;
+    const { owner } = await apiOwner(req);
+    const h = await getOwnedFile(owner, req.params.id);
+    const data = await redis.getBuffer(`filedata:${h.id}`);
+    if (!data) throw new NotFoundError(`No such File object: ${h.id}`);
+    res.setHeader("Content-Disposition", `attachment; filename="${h.filename.replace(/["\\\r\n]/g, "_")}"`);
+    res.type("application/octet-stream").send(data);
+  } catch (err) {
+    next(err);
+  }
+});
 
-    const ctx = getUserContext(req);
-    let account = null;
+app.delete("/v1/files/:id", async (req, res, next) => {
+  try {
+    if (!(await requireGatewayToken(req, res, "chat"))) return;
+    const { owner } = await apiOwner(req);
+    const h = await getOwnedFile(owner, req.params.id);
+    await redis.multi().del(`file:${h.id}`, `filedata:${h.id}`).zrem(`files:${owner}`, h.id).exec();
+    log("info", "files.delete", { requestId: req.requestId, fileId: h.id });
+    res.json({ id: h.id, object: "file", deleted: true });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    if (!ctx) {
-      log("warn", "auth.noUserContext", { requestId });
-      return res.status(401).json({ error: { message: "No user context. Use X-User-Key." } });
+app.post("/v1/batches", async (req, res, next) => {
+  try {
+    if (!(await requireGatewayToken(req, res, "chat"))) return;
+    const { input_file_id: inputFileId, endpoint, completion_window: window = "24h", metadata = null } = req.body || {};
+    if (typeof inputFileId !== "string" || !inputFileId) {
+      throw new InvalidRequestError("Missing required parameter: 'input_file_id'.", { param: "input_file_id" });
     }
-
-    if (ctx.type === "session") account = ctx.account;
-    else account = await getAccountByUserKey(ctx.userKey);
-
-    if (!account) {
-      log("warn", "auth.invalidUserKey", { requestId });
-      return res.status(401).json({ error: { message: "Invalid X-User-Key or expired." } });
+    if (!BATCH_ENDPOINTS.includes(endpoint)) {
+      throw new InvalidRequestError(`endpoint must be one of: ${BATCH_ENDPOINTS.join(", ")}.`, { param: "endpoint" });
     }
-
-    const accessToken = await acquireAccessToken({ account, requestId });
-    const prompt = buildPrompt(messages, mode);
-
-    const conversation = await createCopilotConversation(accessToken, requestId);
-    const conversationId = conversation.id;
-
-    if (!stream) {
-      const data = await copilotChat(accessToken, conversationId, prompt, requestId);
-      const text = extractBestTextFromEvent(data, prompt) || "";
-      return res.json({
-        id: `chatcmpl_${crypto.randomUUID()}`,
-        object: "chat.completion",
-        created: nowUnix(),
-        model,
-        choices: [{ index: 0, message: { role: "assistant", content: text }, finish_reason: "stop" }],
+    if (!BATCH_COMPLETION_WINDOWS[window]) {
+      throw new InvalidRequestError(`completion_window must be one of: ${Object.keys(BATCH_COMPLETION_WINDOWS).join(", ")}.`, {
+        param: "completion_window",
       });
     }
+    if (
+      metadata != null &&
+      (typeof metadata !== "object" ||
+        Array.isArray(metadata) ||
+        Object.keys(metadata).length > 16 ||
+        Object.entries(metadata).some(([k, v]) => k.length > 64 || typeof v !== "string" || v.length > 512))
+    ) {
+      throw new InvalidRequestError("metadata must be an object of at most 16 string values (keys up to 64, values up to 512 characters).", {
+        param: "metadata",
+      });
+    }
+    const who = await apiOwner(req);
+    if (who.session) {
+      throw new AuthenticationError("Batches run in the background and need an X-User-Key or a pool-bound gateway token.", {
+        param: "x-user-key",
+      });
+    }
+    const file = await getOwnedFile(who.owner, inputFileId, "input_file_id");
+    if (file.purpose !== "batch") throw new InvalidRequestError("The input file must have purpose 'batch'.", { param: "input_file_id" });
+    const data = await redis.getBuffer(`filedata:${file.id}`);
+    if (!data) throw new NotFoundError(`No such File object: ${file.id}`, { param: "input_file_id" });
 
-    // stream mode
-    const upstream = await copilotChatOverStream(accessToken, conversationId, prompt, requestId);
-
-    res.writeHead(200, {
-      "Content-Type": "text/event-stream; charset=utf-8",
-      "Cache-Control": "no-cache",
-      Connection: "keep-alive",
-    });
-
-    const reader = upstream.body.getReader();
-    const dec = new TextDecoder();
-    let carry = "";
-    let fullText = "";
-    let blocks = 0;
-    let jsonFail = 0;
-
-    const sendDelta = (delta) => {
-      const chunk = {
-        id: `chatcmpl_${conversationId}`,
-        object: "chat.completion.chunk",
-        created: nowUnix(),
-        model,
-        choices: [{ index: 0, delta: { content: delta }, finish_reason: null }],
-      };
-      res.write(`data: ${JSON.stringify(chunk)}\n\n`);
-    };
-
-    const sendStop = () => {
-      res.write(
-        `data: ${JSON.stringify({
-          id: `chatcmpl_${conversationId}`,
-          object: "chat.completion.chunk",
-          created: nowUnix(),
-          model,
-          choices: [{ index: 0, delta: {}, finish_reason: "stop" }],
-        })}\n\n`
-      );
-      res.write("data: [DONE]\n\n");
-      res.end();
+    const parsed = parseBatchInput(data.toString("utf8"), endpoint, { maxRequests: BATCH_MAX_REQUESTS });
+    const pool = parsed.lines && !who.keyId ? await batchPool(req, parsed.lines) : null;
+    const id = `batch_${crypto.randomBytes(16).toString("hex")}`;
+    const now = Date.now();
+    const h = {
+      id,
+      owner: who.owner,
+      tokenId: req.gatewayToken.id,
+      keyId: who.keyId || "",
+      pool: pool || "",
+      endpoint,
+      inputFileId: file.id,
+      completionWindow: window,
+      createdAt: String(now),
+      expiresAt: String(now + BATCH_COMPLETION_WINDOWS[window]),
+      total: String(parsed.lines?.length || 0),
+      completed: "0",
+      failed: "0",
+      metadata: JSON.stringify(metadata),
     };
+    const tx = redis.multi().zadd(`batches:${who.owner}`, h.createdAt, id).expire(`batches:${who.owner}`, FILES_TTL);
+    if (parsed.errors) {
+      Object.assign(h, { status: "failed", failedAt: String(now), errors: JSON.stringify(parsed.errors) });
+      tx.hset(`batch:${id}`, h).expire(`batch:${id}`, FILES_TTL);
+    } else {
+      Object.assign(h, { status: "in_progress", inProgressAt: String(now) });
+      tx.hset(`batch:${id}`, h);
+      for (let i = 0; i < parsed.lines.length; i += 500) {
+        const chunk = parsed.lines.slice(i, i + 500);
+        tx.rpush(`batchreqs:${id}`, ...chunk.map((l) => JSON.stringify(l)));
+        tx.zadd(`batchpending:${id}`, ...chunk.flatMap((_, j) => [now, i + j]));
+      }
+      tx.sadd("batches:active", id);
+    }
+    await tx.exec();
+    log("info", "batch.create", { requestId: req.requestId, batchId: id, status: h.status, total: Number(h.total), keyId: who.keyId, pool });
+    res.json(presentBatch(h));
+  } catch (err) {
+    next(err);
+  }
+});
 
-    log("info", "stream.start", { requestId, conversationId });
-
-    try {
-      while (true) {
-        const { value, done } = await reader.read();
-        if (done) break;
-
-        carry += dec.decode(value, { stream: true });
-
-        // parse SSE blocks separated by blank line
-        while (true) {
-          const idx = carry.indexOf("\n\n");
-          if (idx == -1) break;
-          const block = carry.slice(0, idx);
-          carry = carry.slice(idx + 2);
-          blocks++;
-
-          const lines = block.split("\n");
-          const dataLines = lines
-            .map((l) => l.trimEnd())
-            .filter((l) => l.startsWith("data:"))
-            .map((l) => l.slice(5).trimStart());
-
-          if (!dataLines.length) continue;
-          const payload = dataLines.join("\n").trim();
-          if (!payload) continue;
-
-          let obj;
-          try {
-            obj = JSON.parse(payload);
-          } catch {
-            jsonFail++;
-            continue;
-          }
-
-          await pushDebugEvent({ ts: Date.now(), requestId, conversationId, sample: payload.slice(0, 400) });
+app.get("/v1/batches", async (req, res, next) => {
+  try {
+    if (!(await requireGatewayToken(req, res, "chat"))) return;
+    const { owner } = await apiOwner(req);
+    const { rows, hasMore } = await listOwned(`batches:${owner}`, "batch:", parseListQuery(req.query, 20, 100));
+    res.json(presentList(rows.map(presentBatch), hasMore));
+  } catch (err) {
+    next(err);
+  }
+});
 
-          if (obj?.error) {
-            log("error", "graph.stream.errorObject", { requestId, conversationId, error: obj.error });
-          }
+async function getOwnedBatch(owner, id) {
+  const h = await redis.hgetall(`batch:${id}`);
+  if (!h?.id || h.owner !== owner) throw new NotFoundError(`No such Batch object: ${safeString(id, 80)}`);
+  return h;
+}
 
-          const text = extractBestTextFromEvent(obj, prompt);
-          if (typeof text === "string" && text.length > fullText.length) {
-            const delta = text.slice(fullText.length);
-            fullText = text;
-            if (delta) sendDelta(delta);
-          }
-        }
-      }
-    } catch (e) {
-      log("error", "stream.exception", { requestId, conversationId, err: safeString(e?.message || e) });
-    }
+app.get("/v1/batches/:id", async (req, res, next) => {
+  try {
+    if (!(await requireGatewayToken(req, res, "chat"))) return;
+    const { owner } = await apiOwner(req);
+    res.json(presentBatch(await getOwnedBatch(owner, req.params.id)));
+  } catch (err) {
+    next(err);
+  }
+});
 
-    if (!fullText && EMPTY_RESPONSE_HINT) {
-      sendDelta("\n（提示：上游未返回可解析的文本内容。请检查 Copilot 许可/权限，或访问 /debug/last-events 查看原始事件片段。）\n");
+// running requests finish and keep their results; the batch turns "cancelled" once they are done
+app.post("/v1/batches/:id/cancel", async (req, res, next) => {
+  try {
+    if (!(await requireGatewayToken(req, res, "chat"))) return;
+    const { owner } = await apiOwner(req);
+    const b = await getOwnedBatch(owner, req.params.id);
+    if (b.status === "in_progress" && !b.stopping) {
+      await redis.hset(`batch:${b.id}`, { status: "cancelling", cancellingAt: String(Date.now()), stopping: "cancelled" });
+      log("info", "batch.cancel", { requestId: req.requestId, batchId: b.id });
+      await settleStoppedBatch(b.id);
+    } else if (b.status !== "cancelling") {
+      throw new InvalidRequestError(`Cannot cancel a batch with status '${b.status}'.`, { param: "batch_id" });
     }
-
-    log("info", "stream.end", { requestId, conversationId, blocks, jsonFail, chars: fullText.length });
-    sendStop();
+    res.json(presentBatch(await redis.hgetall(`batch:${b.id}`)));
   } catch (err) {
     next(err);
   }
@@ -695,19 +5790,41 @@ app.post("/v1/chat/completions", async (req, res, next) => {
 // =======================
 // Global error handler
 // =======================
-app.use((err, req, res, next) => {
+// body-parser rejections (malformed JSON, oversized body, bad charset) carry a plain 4xx status
+function fromBodyParserError(err) {
+  if (err instanceof GatewayError || typeof err?.type !== "string" || !(err.status >= 400 && err.status < 500)) return err;
+  if (err.type === "entity.too.large") return new RequestTooLargeError(`Request body exceeds the limit of ${BODY_LIMIT}.`);
+  if (err.type === "entity.parse.failed") return new InvalidRequestError(`Request body is not valid JSON: ${err.message}`);
+  return new InvalidRequestError(err.message);
+}
+
+function handleError(err, req, res, next) {
+  err = fromBodyParserError(err);
   const requestId = req?.requestId;
-  log("error", "http.error", {
+  if (err instanceof ClientClosedError) {
+    log("info", "http.clientClosed", { requestId, path: req.originalUrl });
+    return;
+  }
+  const expected = err instanceof GatewayError && err.httpStatus < 500;
+  log(expected ? "warn" : "error", "http.error", {
     requestId,
+    status: err?.httpStatus || 500,
+    code: err?.code,
+    graphReqId: err?.graphReqId,
     err: {
       name: err?.name,
       message: err?.message,
-      stack: err?.stack,
+      stack: expected ? undefined : err?.stack,
     },
   });
-  if (res.headersSent) return next(err);
-  res.status(500).json({ error: { message: err?.message || "Internal error", requestId } });
-});
+  if (res.headersSent) {
+    if (String(res.getHeader("content-type") || "").startsWith("text/event-stream")) return writeStreamError(req, res, err);
+    return next(err);
+  }
+  sendError(req, res, err);
+}
+
+app.use(handleError);
 
 app.listen(PORT, "0.0.0.0", () => {
   log("info", "server.listen", { port: PORT });
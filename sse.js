@@ -0,0 +1,92 @@
+// =======================
+// SSE
+// =======================
+// Incremental text/event-stream parser (WHATWG "event stream interpretation"):
+// \r\n, \r and \n line endings, ":" comments, multi-line data, event/id/retry fields.
+// push() and end() return the events completed so far as { event, data, id, retry }.
+const LINE_END = /\r\n|\r|\n/g;
+
+export class SseParser {
+  constructor() {
+    this.buf = "";
+    this.started = false;
+    this.data = [];
+    this.eventType = "";
+    this.lastEventId = "";
+    this.retry = null;
+  }
+
+  push(chunk) {
+    // the carried-over buffer holds no terminator except possibly a trailing \r, so only its
+    // last character needs rescanning
+    let from = Math.max(0, this.buf.length - 1);
+    let text = this.buf + chunk;
+    if (!this.started && text.length) {
+      if (text.charCodeAt(0) === 0xfeff) {
+        text = text.slice(1);
+        from = 0;
+      }
+      this.started = true;
+    }
+    const out = [];
+    let pos = 0;
+    LINE_END.lastIndex = from;
+    let m;
+    while ((m = LINE_END.exec(text))) {
+      // a trailing \r may be the first half of \r\n; wait for the next chunk
+      if (m[0] === "\r" && m.index === text.length - 1) break;
+      this._line(text.slice(pos, m.index), out);
+      pos = LINE_END.lastIndex;
+    }
+    this.buf = text.slice(pos);
+    return out;
+  }
+
+  // flushes a final block that the server did not terminate with a blank line
+  end() {
+    const out = [];
+    if (this.buf) {
+      const rest = this.buf.endsWith("\r") ? this.buf.slice(0, -1) : this.buf;
+      this.buf = "";
+      this._line(rest, out);
+    }
+    this._dispatch(out);
+    return out;
+  }
+
+  _line(line, out) {
+    if (line === "") return this._dispatch(out);
+    if (line.startsWith(":")) return;
+    const idx = line.indexOf(":");
+    const field = idx === -1 ? line : line.slice(0, idx);
+    let value = idx === -1 ? "" : line.slice(idx + 1);
+    if (value.startsWith(" ")) value = value.slice(1);
+    if (field === "data") this.data.push(value);
+    else if (field === "event") this.eventType = value;
+    else if (field === "id") {
+      if (!value.includes("\0")) this.lastEventId = value;
+    } else if (field === "retry") {
+      if (/^\d+$/.test(value)) this.retry = parseInt(value, 10);
+    }
+  }
+
+  _dispatch(out) {
+    if (this.data.length) {
+      out.push({ event: this.eventType || "message", data: this.data.join("\n"), id: this.lastEventId, retry: this.retry });
+    }
+    this.data = [];
+    this.eventType = "";
+  }
+}
+
+// writes ": keep-alive" comments while the client waits on a slow upstream; returns a stop function
+export function startSseKeepAlive(res, intervalMs) {
+  if (!(intervalMs > 0)) return () => {};
+  const t = setInterval(() => {
+    if (!res.writableEnded) res.write(": keep-alive\n\n");
+  }, intervalMs);
+  t.unref?.();
+  const stop = () => clearInterval(t);
+  res.once("close", stop);
+  return stop;
+}
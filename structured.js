@@ -0,0 +1,138 @@
+// =======================
+// Structured output: JSON extraction and validation
+// =======================
+// Pure helpers for the response_format / tools emulation in server.js: cutting the JSON out of a prose
+// answer and checking it against the JSON Schema subset OpenAI structured outputs use.
+const MAX_SCHEMA_ERRORS = 10;
+
+export function isPlainObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
+
+// end index (exclusive) of the JSON object/array starting at `start`, honouring strings
+function balancedJsonEnd(text, start) {
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === "\\") i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') inString = true;
+    else if (ch === "{" || ch === "[") depth++;
+    else if ((ch === "}" || ch === "]") && --depth === 0) return i + 1;
+  }
+  return -1;
+}
+
+// the whole answer, a fenced block, or the longest balanced object/array in the prose
+// (longest first, so citation markers like [1] do not win over the actual payload). The scan stops at
+// the first opener that is never closed: it already read to the end of the text, and rescanning from
+// every later opener would make long unbalanced answers quadratic.
+export function extractJson(text) {
+  const t = String(text || "").trim();
+  const candidates = [t];
+  const fence = /```(?:json)?[^\S\n]*\n?([\s\S]*?)```/i.exec(t);
+  if (fence) candidates.push(fence[1].trim());
+  const spans = [];
+  for (let i = 0; i < t.length; i++) {
+    if (t[i] !== "{" && t[i] !== "[") continue;
+    const end = balancedJsonEnd(t, i);
+    if (end < 0) break;
+    spans.push(t.slice(i, end));
+    i = end - 1;
+  }
+  candidates.push(...spans.sort((a, b) => b.length - a.length));
+  for (const c of candidates) {
+    if (!c) continue;
+    try {
+      return { value: JSON.parse(c) };
+    } catch {
+      // try the next candidate
+    }
+  }
+  return null;
+}
+
+function jsonType(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number") return Number.isInteger(v) ? "integer" : "number";
+  return typeof v;
+}
+
+function resolveSchemaRef(ref, root) {
+  if (typeof ref !== "string" || !ref.startsWith("#")) return null;
+  let node = root;
+  for (const part of ref.slice(1).split("/").filter(Boolean)) {
+    node = node?.[part.replace(/~1/g, "/").replace(/~0/g, "~")];
+  }
+  return node ?? null;
+}
+
+// the JSON Schema subset used by OpenAI structured outputs: type, enum/const, properties/required/
+// additionalProperties, items, length and range bounds, pattern, anyOf/oneOf/allOf and local $ref
+export function validateJsonSchema(value, schema, path = "$", root = schema, errors = []) {
+  if (errors.length >= MAX_SCHEMA_ERRORS || schema === true || schema == null) return errors;
+  if (schema === false) return errors.push(`${path}: no value is allowed here`), errors;
+  if (schema.$ref) {
+    const target = resolveSchemaRef(schema.$ref, root);
+    if (!target) return errors.push(`${path}: unresolvable $ref ${schema.$ref}`), errors;
+    validateJsonSchema(value, target, path, root, errors);
+  }
+  const t = jsonType(value);
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((x) => x === t || (x === "number" && t === "integer"))) {
+      return errors.push(`${path}: expected ${types.join(" or ")}, got ${t}`), errors;
+    }
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some((e) => JSON.stringify(e) === JSON.stringify(value))) {
+    errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`);
+  }
+  if ("const" in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+  }
+  for (const key of ["anyOf", "oneOf"]) {
+    if (!Array.isArray(schema[key])) continue;
+    const passing = schema[key].filter((s) => !validateJsonSchema(value, s, path, root, []).length).length;
+    if (key === "anyOf" ? passing === 0 : passing !== 1) {
+      errors.push(`${path}: must match ${key === "anyOf" ? "at least one" : "exactly one"} of the allowed schemas`);
+    }
+  }
+  if (Array.isArray(schema.allOf)) for (const s of schema.allOf) validateJsonSchema(value, s, path, root, errors);
+
+  if (t === "object") {
+    const props = schema.properties || {};
+    for (const k of Array.isArray(schema.required) ? schema.required : []) {
+      if (!(k in value)) errors.push(`${path}: missing required property '${k}'`);
+    }
+    for (const [k, v] of Object.entries(value)) {
+      if (k in props) validateJsonSchema(v, props[k], `${path}.${k}`, root, errors);
+      else if (schema.additionalProperties === false) errors.push(`${path}: unexpected property '${k}'`);
+      else if (isPlainObject(schema.additionalProperties)) validateJsonSchema(v, schema.additionalProperties, `${path}.${k}`, root, errors);
+    }
+  } else if (t === "array") {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${path}: expected at least ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${path}: expected at most ${schema.maxItems} items`);
+    if (isPlainObject(schema.items)) value.forEach((v, i) => validateJsonSchema(v, schema.items, `${path}[${i}]`, root, errors));
+  } else if (t === "string") {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(`${path}: shorter than ${schema.minLength} characters`);
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push(`${path}: longer than ${schema.maxLength} characters`);
+    if (typeof schema.pattern === "string") {
+      let re = null;
+      try {
+        re = new RegExp(schema.pattern, "u");
+      } catch {
+        // an invalid pattern is the caller's problem, not Copilot's
+      }
+      if (re && !re.test(value)) errors.push(`${path}: does not match pattern ${schema.pattern}`);
+    }
+  } else if (t === "number" || t === "integer") {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+    if (typeof schema.exclusiveMinimum === "number" && value <= schema.exclusiveMinimum) errors.push(`${path}: must be > ${schema.exclusiveMinimum}`);
+    if (typeof schema.exclusiveMaximum === "number" && value >= schema.exclusiveMaximum) errors.push(`${path}: must be < ${schema.exclusiveMaximum}`);
+  }
+  return errors.slice(0, MAX_SCHEMA_ERRORS);
+}
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseBatchInput } from "../batch-input.js";
+
+const EP = "/v1/chat/completions";
+const line = (id, extra = {}) => JSON.stringify({ custom_id: id, method: "POST", url: EP, body: { model: "auto", messages: [] }, ...extra });
+
+test("valid lines are returned in order, blank lines and CRLF are ignored", () => {
+  const { lines, errors } = parseBatchInput(`${line("a")}\r\n\r\n${line("b")}\n`, EP, { maxRequests: 10 });
+  assert.equal(errors, undefined);
+  assert.deepEqual(
+    lines.map((l) => l.custom_id),
+    ["a", "b"]
+  );
+  assert.deepEqual(lines[0].body, { model: "auto", messages: [] });
+});
+
+test("each invalid line is reported with its 1-based line number", () => {
+  const text = [
+    "not json",
+    "[1]",
+    JSON.stringify({ method: "POST", url: EP, body: {} }),
+    line("a"),
+    line("a"),
+    line("b", { method: "GET" }),
+    line("c", { url: "/v1/responses" }),
+    line("d", { body: [] }),
+    line("e", { body: { stream: true } }),
+  ].join("\n");
+  const { errors, lines } = parseBatchInput(text, EP, { maxRequests: 10 });
+  assert.equal(lines, undefined);
+  assert.deepEqual(
+    errors.map((e) => [e.line, e.code, e.param]),
+    [
+      [1, "invalid_json_line", null],
+      [2, "invalid_json_line", null],
+      [3, "missing_required_parameter", "custom_id"],
+      [5, "duplicate_custom_id", "custom_id"],
+      [6, "invalid_method", "method"],
+      [7, "mismatched_endpoint", "url"],
+      [8, "invalid_request", "body"],
+      [9, "invalid_request", "body.stream"],
+    ]
+  );
+});
+
+test("empty files and files over maxRequests fail as a whole", () => {
+  assert.deepEqual(parseBatchInput("\n\n", EP, { maxRequests: 10 }).errors[0].code, "empty_file");
+  const tooMany = parseBatchInput([line("a"), line("b"), line("c")].join("\n"), EP, { maxRequests: 2 });
+  assert.equal(tooMany.errors[0].code, "too_many_requests");
+  assert.equal(tooMany.errors[0].line, null);
+});
+
+test("at most 100 errors are collected", () => {
+  const { errors } = parseBatchInput(Array.from({ length: 150 }, () => "x").join("\n"), EP, { maxRequests: 1000 });
+  assert.equal(errors.length, 100);
+});
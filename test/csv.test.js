@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { csvCell } from "../csv.js";
+
+test("formula-like text cells get a leading quote", () => {
+  for (const v of ["=1+1", "+SUM(A1)", "-2+3", "@cmd", "\tx"]) assert.equal(csvCell(v), `'${v}`, JSON.stringify(v));
+  assert.equal(csvCell('=HYPERLINK("http://x","y")'), `"'=HYPERLINK(""http://x"",""y"")"`);
+  assert.equal(csvCell("\r=1"), `"'\r=1"`);
+});
+
+test("numbers and ordinary text are left alone", () => {
+  assert.equal(csvCell(-5), "-5");
+  assert.equal(csvCell(0), "0");
+  assert.equal(csvCell(true), "true");
+  assert.equal(csvCell("a=b"), "a=b");
+  assert.equal(csvCell(null), "");
+  assert.equal(csvCell(undefined), "");
+});
+
+test("commas, quotes and line breaks are quoted", () => {
+  assert.equal(csvCell("a,b"), '"a,b"');
+  assert.equal(csvCell('say "hi"'), '"say ""hi"""');
+  assert.equal(csvCell("two\nlines"), '"two\nlines"');
+});
@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { ENC_PREFIX, createSealer, parseDataKeys } from "../seal.js";
+
+const k1 = `k1:${crypto.randomBytes(32).toString("base64")}`;
+const k2 = `k2:${crypto.randomBytes(32).toString("hex")}`;
+
+test("parseDataKeys accepts base64 and hex keys in order", () => {
+  const keys = parseDataKeys(`${k2}, ${k1}\n`);
+  assert.deepEqual(
+    keys.map((k) => [k.kid, k.key.length]),
+    [
+      ["k2", 32],
+      ["k1", 32],
+    ]
+  );
+  assert.deepEqual(parseDataKeys(""), []);
+  assert.deepEqual(parseDataKeys(undefined), []);
+});
+
+test("parseDataKeys rejects short keys, missing ids and duplicate ids", () => {
+  assert.throws(() => parseDataKeys(`k1:${crypto.randomBytes(16).toString("base64")}`), /32-byte/);
+  assert.throws(() => parseDataKeys(crypto.randomBytes(32).toString("hex")), /<kid>:/);
+  assert.throws(() => parseDataKeys(`${k1},${k1}`), /Duplicate data encryption key id 'k1'/);
+});
+
+test("seal/open round-trip tags the value with the active kid", () => {
+  const sealer = createSealer(parseDataKeys(`${k1},${k2}`));
+  const sealed = sealer.seal("msal:home", '{"refresh":"secret"}');
+  assert.ok(sealed.startsWith(`${ENC_PREFIX}k1.`));
+  assert.equal(sealed.split(".").length, 4);
+  assert.ok(!sealed.includes("secret"));
+  assert.notEqual(sealer.seal("msal:home", '{"refresh":"secret"}'), sealed);
+  assert.equal(sealer.open("msal:home", sealed), '{"refresh":"secret"}');
+});
+
+test("a sealed value does not open under another Redis key or after tampering", () => {
+  const sealer = createSealer(parseDataKeys(k1));
+  const sealed = sealer.seal("account:a", "value");
+  assert.throws(() => sealer.open("account:b", sealed));
+  const parts = sealed.split(".");
+  const payload = Buffer.from(parts[3], "base64url");
+  payload[payload.length - 1] ^= 1;
+  parts[3] = payload.toString("base64url");
+  assert.throws(() => sealer.open("account:a", parts.join(".")));
+});
+
+test("plaintext passes through open, and seal without keys stores plaintext", () => {
+  const sealer = createSealer(parseDataKeys(k1));
+  assert.equal(sealer.open("sess:x", '{"legacy":true}'), '{"legacy":true}');
+  assert.equal(sealer.open("sess:x", null), null);
+  const none = createSealer([]);
+  assert.equal(none.active, null);
+  assert.equal(none.seal("sess:x", "plain"), "plain");
+  assert.equal(none.open("sess:x", "plain"), "plain");
+});
+
+test("rotation: old values open with a retired key and re-seal with the new active one", () => {
+  const before = createSealer(parseDataKeys(k1));
+  const old = before.seal("msalat:home:abcd1234", "token");
+  const after = createSealer(parseDataKeys(`${k2},${k1}`));
+  assert.equal(after.active.kid, "k2");
+  const resealed = after.seal("msalat:home:abcd1234", after.open("msalat:home:abcd1234", old));
+  assert.ok(resealed.startsWith(`${ENC_PREFIX}k2.`));
+  assert.equal(createSealer(parseDataKeys(k2)).open("msalat:home:abcd1234", resealed), "token");
+  assert.throws(() => createSealer(parseDataKeys(k2)).open("msalat:home:abcd1234", old), /'k1' is not configured; cannot read msalat:\*/);
+});
@@ -0,0 +1,120 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import { SseParser, startSseKeepAlive } from "../sse.js";
+
+function parseAll(chunks) {
+  const p = new SseParser();
+  const out = [];
+  for (const c of chunks) out.push(...p.push(c));
+  out.push(...p.end());
+  return out;
+}
+
+test("LF, CRLF and CR line endings produce the same events", () => {
+  for (const nl of ["\n", "\r\n", "\r"]) {
+    const events = parseAll([`data: a${nl}${nl}event: done${nl}data: b${nl}${nl}`]);
+    assert.deepEqual(
+      events.map((e) => [e.event, e.data]),
+      [
+        ["message", "a"],
+        ["done", "b"],
+      ],
+      JSON.stringify(nl)
+    );
+  }
+});
+
+test("mixed line endings in one stream", () => {
+  const events = parseAll(["data: a\r\ndata: b\rdata: c\n\r\n"]);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].data, "a\nb\nc");
+});
+
+test("multi-line data is joined with \\n", () => {
+  const events = parseAll(["data: first\ndata:second\ndata\ndata:  indented\n\n"]);
+  assert.equal(events[0].data, "first\nsecond\n\n indented");
+});
+
+test("id persists across events and retry must be an integer", () => {
+  const events = parseAll(["id: 1\nretry: 3000\ndata: a\n\n", "retry: soon\ndata: b\n\n", "id: x\0y\ndata: c\n\n", "id\ndata: d\n\n"]);
+  assert.deepEqual(
+    events.map((e) => [e.id, e.retry]),
+    [
+      ["1", 3000],
+      ["1", 3000],
+      ["1", 3000],
+      ["", 3000],
+    ]
+  );
+});
+
+test("comment lines and blocks without data dispatch nothing", () => {
+  const events = parseAll([": keep-alive\n\n", "event: ping\n\n", ":c\ndata: x\n: more\n\n"]);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].data, "x");
+  assert.equal(events[0].event, "message");
+});
+
+test("chunks split mid-line and between \\r and \\n", () => {
+  const text = 'event: delta\r\ndata: {"t":"hello"}\r\n\r\ndata: tail\r\n\r\n';
+  const whole = parseAll([text]);
+  for (let i = 1; i < text.length; i++) {
+    assert.deepEqual(parseAll([text.slice(0, i), text.slice(i)]), whole, `split at ${i}`);
+  }
+  assert.deepEqual(parseAll([...text]), whole);
+  assert.equal(whole[0].event, "delta");
+  assert.equal(whole[0].data, '{"t":"hello"}');
+});
+
+test("a lone \\r at a chunk boundary is not emitted twice", () => {
+  const p = new SseParser();
+  assert.deepEqual(p.push("data: a\r"), []);
+  assert.deepEqual(p.push("\r"), []);
+  assert.deepEqual(
+    p.push("\ndata: b\n\n").map((e) => e.data),
+    ["a", "b"]
+  );
+});
+
+test("leading BOM is stripped once", () => {
+  const events = parseAll(["\uFEFF", "data: a\n\n\uFEFFdata: b\n\n"]);
+  assert.deepEqual(
+    events.map((e) => e.data),
+    ["a"]
+  );
+});
+
+test("end() flushes an unterminated final block", () => {
+  assert.deepEqual(
+    parseAll(["data: a\n\ndata: b\r"]).map((e) => e.data),
+    ["a", "b"]
+  );
+});
+
+test("long LF-only streams parse in linear time", () => {
+  const p = new SseParser();
+  const line = "data: " + "x".repeat(20) + "\n";
+  const chunk = line.repeat(20000) + "\n";
+  const started = Date.now();
+  const events = p.push(chunk);
+  assert.equal(events.length, 1);
+  assert.ok(Date.now() - started < 2000);
+});
+
+test("startSseKeepAlive writes comments until stopped or closed", async () => {
+  const res = new EventEmitter();
+  res.writableEnded = false;
+  const writes = [];
+  res.write = (s) => writes.push(s);
+  const stop = startSseKeepAlive(res, 5);
+  await new Promise((r) => setTimeout(r, 30));
+  res.emit("close");
+  const n = writes.length;
+  await new Promise((r) => setTimeout(r, 20));
+  assert.ok(n > 0);
+  assert.equal(writes.length, n);
+  assert.ok(writes.every((w) => w === ": keep-alive\n\n"));
+  stop();
+  assert.equal(typeof startSseKeepAlive(res, 0), "function");
+});
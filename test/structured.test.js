@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractJson, validateJsonSchema } from "../structured.js";
+
+test("the whole answer or a fenced block is taken as is", () => {
+  assert.deepEqual(extractJson(' {"a":1} '), { value: { a: 1 } });
+  assert.deepEqual(extractJson('Here you go:\n```json\n{"a":[1,2]}\n```\nDone.'), { value: { a: [1, 2] } });
+  assert.deepEqual(extractJson("```\n[true]\n```"), { value: [true] });
+});
+
+test("the longest balanced span in prose wins over citation markers", () => {
+  assert.deepEqual(extractJson('Per the report [1], the result is {"total": 3, "items": [{"id": 1}]} [2].'), {
+    value: { total: 3, items: [{ id: 1 }] },
+  });
+});
+
+test("braces inside strings do not end a span", () => {
+  assert.deepEqual(extractJson('Result: {"text": "a } and a { and \\" quote"} ok'), { value: { text: 'a } and a { and " quote' } });
+});
+
+test("unclosed input yields null, a span before an unclosed opener is kept", () => {
+  assert.equal(extractJson('{"a": 1'), null);
+  assert.equal(extractJson("no json here"), null);
+  assert.equal(extractJson(""), null);
+  assert.deepEqual(extractJson('first {"a":1} then { never closed'), { value: { a: 1 } });
+  // the scan stops at the first unclosed opener, later spans are not tried
+  assert.equal(extractJson('{ never closed {"a":1}'), null);
+});
+
+test("long unbalanced answers are scanned in linear time", () => {
+  const text = "{ [ ".repeat(50000);
+  const started = Date.now();
+  assert.equal(extractJson(text), null);
+  assert.ok(Date.now() - started < 2000);
+});
+
+test("validateJsonSchema reports type, required and additional property errors with paths", () => {
+  const schema = {
+    type: "object",
+    properties: { name: { type: "string", minLength: 2 }, tags: { type: "array", items: { enum: ["a", "b"] } } },
+    required: ["name", "age"],
+    additionalProperties: false,
+  };
+  const withAge = { ...schema, properties: { ...schema.properties, age: { type: "integer" } } };
+  assert.deepEqual(validateJsonSchema({ name: "ok", tags: ["a"], age: 1 }, withAge), []);
+  assert.deepEqual(validateJsonSchema({ name: "x", tags: ["c"], extra: 1 }, schema), [
+    "$: missing required property 'age'",
+    "$.name: shorter than 2 characters",
+    '$.tags[0]: must be one of ["a","b"]',
+    "$: unexpected property 'extra'",
+  ]);
+  assert.deepEqual(validateJsonSchema(1.5, { type: "integer" }), ["$: expected integer, got number"]);
+  assert.deepEqual(validateJsonSchema(2, { type: "number" }), []);
+});
+
+test("validateJsonSchema follows local $ref and anyOf / oneOf", () => {
+  const schema = { $defs: { id: { type: "string", pattern: "^[a-z]+$" } }, type: "object", properties: { id: { $ref: "#/$defs/id" } } };
+  assert.deepEqual(validateJsonSchema({ id: "abc" }, schema), []);
+  assert.deepEqual(validateJsonSchema({ id: "ABC" }, schema), ["$.id: does not match pattern ^[a-z]+$"]);
+  assert.deepEqual(validateJsonSchema(1, { $ref: "#/missing" }), ["$: unresolvable $ref #/missing"]);
+  assert.deepEqual(validateJsonSchema(1, { anyOf: [{ type: "string" }, { type: "integer" }] }), []);
+  assert.equal(validateJsonSchema(1, { oneOf: [{ type: "number" }, { type: "integer" }] }).length, 1);
+});
+
+test("validateJsonSchema caps the number of errors", () => {
+  const value = Object.fromEntries(Array.from({ length: 30 }, (_, i) => [`k${i}`, i]));
+  assert.equal(validateJsonSchema(value, { type: "object", additionalProperties: false }).length, 10);
+});